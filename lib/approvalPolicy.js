@@ -0,0 +1,132 @@
+const fs = require('fs');
+const { ROLES } = require('./auth');
+const { getSetting } = require('./settings');
+const { PAYMENT_METHODS } = require('./orderItems');
+
+// Approval policy, read from the JSON file in APPROVAL_POLICY_FILE
+// (default approval-policy.json; see approval-policy.example.json).
+// Without the file the original behaviour applies: approvals from any
+// staff member, creator included, as many as the "Approvals required"
+// setting says (three unless changed).
+//
+//   approverRoles         roles allowed to approve or reject
+//   allowCreatorApproval  whether the order's creator may approve it
+//   defaultRequired       approvals needed when no rule matches; overrides
+//                         the setting when present
+//   rules                 first match wins; each rule may set paymentMethod
+//                         (an order payment method, see lib/orderItems.js),
+//                         minTotal and maxTotal (inclusive) plus required
+
+const DEFAULT_POLICY = {
+    approverRoles: ['staff', 'supervisor', 'manager', 'admin'],
+    allowCreatorApproval: true,
+    rules: []
+};
+
+let policy = DEFAULT_POLICY;
+
+function isCount(value) {
+    return Number.isInteger(value) && value >= 1 && value <= 10;
+}
+
+function validatePolicy(raw) {
+    const merged = { ...DEFAULT_POLICY, ...raw };
+
+    if (!Array.isArray(merged.approverRoles) || merged.approverRoles.length === 0 ||
+        merged.approverRoles.some(role => !ROLES.includes(role))) {
+        throw new Error(`approverRoles must be a non-empty list of: ${ROLES.join(', ')}`);
+    }
+    if (typeof merged.allowCreatorApproval !== 'boolean') {
+        throw new Error('allowCreatorApproval must be true or false');
+    }
+    if (merged.defaultRequired !== undefined && !isCount(merged.defaultRequired)) {
+        throw new Error('defaultRequired must be a whole number from 1 to 10');
+    }
+    if (!Array.isArray(merged.rules)) {
+        throw new Error('rules must be a list');
+    }
+    merged.rules.forEach((rule, index) => {
+        if (!isCount(rule.required)) {
+            throw new Error(`rules[${index}].required must be a whole number from 1 to 10`);
+        }
+        if (rule.paymentMethod !== undefined && !PAYMENT_METHODS.includes(rule.paymentMethod)) {
+            throw new Error(`rules[${index}].paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`);
+        }
+        ['minTotal', 'maxTotal'].forEach(key => {
+            if (rule[key] !== undefined && !(typeof rule[key] === 'number' && rule[key] >= 0)) {
+                throw new Error(`rules[${index}].${key} must be a number of zero or more`);
+            }
+        });
+    });
+
+    return merged;
+}
+
+// Load the policy file at startup. A file that exists but is invalid stops
+// startup rather than silently falling back to the defaults.
+function loadApprovalPolicy() {
+    const file = process.env.APPROVAL_POLICY_FILE || 'approval-policy.json';
+    if (!fs.existsSync(file)) {
+        policy = DEFAULT_POLICY;
+        return { policy: getApprovalPolicy(), file: null };
+    }
+
+    try {
+        policy = validatePolicy(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+        throw new Error(`Invalid approval policy in ${file}: ${error.message}`);
+    }
+    return { policy: getApprovalPolicy(), file };
+}
+
+// The policy in effect, with defaultRequired filled in from settings
+function getApprovalPolicy() {
+    return { ...policy, defaultRequired: defaultRequired() };
+}
+
+function defaultRequired() {
+    return policy.defaultRequired !== undefined ? policy.defaultRequired : getSetting('approvals.defaultRequired');
+}
+
+function ruleMatches(rule, order) {
+    const total = Number(order.total) || 0;
+    if (rule.paymentMethod && rule.paymentMethod !== order.payment_method) return false;
+    if (rule.minTotal !== undefined && total < rule.minTotal) return false;
+    if (rule.maxTotal !== undefined && total > rule.maxTotal) return false;
+    return true;
+}
+
+function requiredApprovals(order) {
+    const rule = policy.rules.find(r => ruleMatches(r, order));
+    return rule ? rule.required : defaultRequired();
+}
+
+// Approvals that count towards the requirement: those given since the most
+// recent rejection. Entries without a decision predate rejections.
+function currentApprovals(order) {
+    const entries = order.approvals || [];
+    let lastRejection = -1;
+    entries.forEach((entry, index) => {
+        if (entry.decision === 'rejected') lastRejection = index;
+    });
+    return entries.slice(lastRejection + 1).filter(entry => entry.decision !== 'rejected');
+}
+
+// Reason `user` may not approve or reject `order`, or null if they may
+function approvalRefusal(user, order, decision) {
+    if (!policy.approverRoles.includes(user.role)) {
+        return `Your role (${user.role}) cannot ${decision === 'rejected' ? 'reject' : 'approve'} orders`;
+    }
+    if (decision === 'approved' && !policy.allowCreatorApproval && order.created_by === user.username) {
+        return 'You cannot approve an order you created';
+    }
+    return null;
+}
+
+module.exports = {
+    loadApprovalPolicy,
+    getApprovalPolicy,
+    requiredApprovals,
+    currentApprovals,
+    approvalRefusal
+};
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { parseCsv, toCsv } = require('./csv');
+const { parseDateRange, inRange } = require('./dateRange');
+
+// Append-only audit log.
+//
+// Each event is one JSON line in AUDIT_LOG_FILE (default audit_log.jsonl):
+//   { seq, timestamp, action, order_id, staff, details, prev_hash, hash }
+// `hash` is the SHA-256 of the previous entry's hash and this entry's
+// fields, so editing, removing or reordering any line breaks the chain
+// from that point on and shows up in verifyAuditChain().
+//
+// On first start the old audit_log.csv is imported (best effort, since
+// unescaped quotes in it may have split rows) and left in place.
+
+const LEGACY_CSV = 'audit_log.csv';
+const GENESIS_HASH = '0'.repeat(64);
+const FIELDS = ['seq', 'timestamp', 'action', 'order_id', 'staff', 'details'];
+
+let logFile = null;
+let lastSeq = 0;
+let lastHash = GENESIS_HASH;
+
+function entryHash(entry, prevHash) {
+    const payload = JSON.stringify(FIELDS.map(field => entry[field]));
+    return crypto.createHash('sha256').update(prevHash + payload).digest('hex');
+}
+
+function buildEntry(timestamp, action, orderId, staffName, details) {
+    const entry = {
+        seq: lastSeq + 1,
+        timestamp,
+        action: String(action),
+        order_id: String(orderId === undefined || orderId === null ? 'N/A' : orderId),
+        staff: String(staffName || ''),
+        details: String(details === undefined || details === null ? '' : details)
+    };
+    entry.prev_hash = lastHash;
+    entry.hash = entryHash(entry, lastHash);
+    lastSeq = entry.seq;
+    lastHash = entry.hash;
+    return entry;
+}
+
+function readLines() {
+    if (!fs.existsSync(logFile)) return [];
+    return fs.readFileSync(logFile, 'utf8').split('\n').filter(line => line.trim() !== '');
+}
+
+function parseLine(line, index) {
+    try {
+        return JSON.parse(line);
+    } catch (error) {
+        throw new Error(`${logFile} line ${index + 1} is not valid JSON (${error.message})`);
+    }
+}
+
+function readEntries() {
+    return readLines().map(parseLine);
+}
+
+// Rows of the old CSV log. Fields after the fourth are joined back into the
+// details, which is where stray commas from unescaped quotes ended up.
+function legacyEntries() {
+    const [header, ...rows] = parseCsv(fs.readFileSync(LEGACY_CSV, 'utf8'));
+    if (!header) return [];
+    return rows
+        .filter(row => row.length >= 4 && !Number.isNaN(Date.parse(row[0])))
+        .map(([timestamp, action, orderId, staffName, ...rest]) =>
+            buildEntry(timestamp, action, orderId, staffName, rest.join(','))
+        );
+}
+
+// Open the log, importing the legacy CSV on first run, and pick up the
+// chain where it left off. Throws if the last entry cannot be read, since
+// appending to a broken tail would hide the damage.
+function initAuditLog() {
+    logFile = process.env.AUDIT_LOG_FILE || 'audit_log.jsonl';
+    lastSeq = 0;
+    lastHash = GENESIS_HASH;
+
+    if (!fs.existsSync(logFile)) {
+        const imported = fs.existsSync(LEGACY_CSV) ? legacyEntries() : [];
+        fs.writeFileSync(logFile, imported.map(entry => JSON.stringify(entry) + '\n').join(''));
+        return { file: logFile, imported: imported.length };
+    }
+
+    const lines = readLines();
+    if (lines.length) {
+        const last = parseLine(lines[lines.length - 1], lines.length - 1);
+        lastSeq = last.seq;
+        lastHash = last.hash;
+    }
+    return { file: logFile, imported: 0 };
+}
+
+// Append one event. Synchronous so entries are chained in call order.
+function appendAudit(action, orderId, staffName, details = '') {
+    const entry = buildEntry(new Date().toISOString(), action, orderId, staffName, details);
+    fs.appendFileSync(logFile, JSON.stringify(entry) + '\n');
+    return entry;
+}
+
+function filterEntries(entries, { from, to, action, order, staff } = {}) {
+    const range = parseDateRange({ from, to });
+    const orderText = String(order || '').trim().toUpperCase();
+    const staffText = String(staff || '').trim().toLowerCase();
+
+    return entries.filter(entry => {
+        if (!inRange(entry.timestamp, range)) return false;
+        if (action && entry.action !== action) return false;
+        if (orderText && !entry.order_id.toUpperCase().includes(orderText)) return false;
+        if (staffText && entry.staff.toLowerCase() !== staffText) return false;
+        return true;
+    });
+}
+
+// Filtered entries, newest first, one page at a time
+function queryAudit(filters = {}) {
+    const entries = readEntries();
+    const matches = filterEntries(entries, filters).reverse();
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 500);
+    const pages = Math.max(1, Math.ceil(matches.length / limit));
+    const page = Math.min(Math.max(parseInt(filters.page, 10) || 1, 1), pages);
+
+    return {
+        entries: matches.slice((page - 1) * limit, page * limit),
+        total: matches.length,
+        page,
+        pages,
+        limit,
+        actions: [...new Set(entries.map(entry => entry.action))].sort()
+    };
+}
+
+// Walk the chain from the start of the log, or of `lines` (e.g. a log in a
+// backup). Reports the first entry whose hash or link does not match, or
+// that is out of sequence.
+function verifyAuditChain(lines = readLines()) {
+    let prevHash = GENESIS_HASH;
+
+    for (let index = 0; index < lines.length; index++) {
+        let entry;
+        try {
+            entry = JSON.parse(lines[index]);
+        } catch (error) {
+            return { valid: false, entries: lines.length, line: index + 1, reason: 'Entry is not valid JSON' };
+        }
+
+        const problem =
+            entry.seq !== index + 1 ? `Expected entry ${index + 1}, found ${entry.seq}` :
+            entry.prev_hash !== prevHash ? 'Link to the previous entry does not match' :
+            entry.hash !== entryHash(entry, prevHash) ? 'Entry contents do not match its hash' :
+            null;
+        if (problem) {
+            return { valid: false, entries: lines.length, line: index + 1, seq: entry.seq, reason: problem };
+        }
+        prevHash = entry.hash;
+    }
+
+    return { valid: true, entries: lines.length, lastHash: prevHash };
+}
+
+// The log as stored, one JSON entry per line, for backups
+function readAuditLines() {
+    return readLines();
+}
+
+function exportAuditCsv(filters = {}) {
+    const rows = filterEntries(readEntries(), filters).map(entry => [
+        entry.seq, entry.timestamp, entry.action, entry.order_id, entry.staff, entry.details, entry.hash
+    ]);
+    return toCsv(['seq', 'timestamp', 'action', 'order_id', 'staff_name', 'details', 'hash'], rows);
+}
+
+module.exports = {
+    initAuditLog,
+    appendAudit,
+    queryAudit,
+    verifyAuditChain,
+    readAuditLines,
+    exportAuditCsv
+};
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+
+// Roles in ascending order of privilege. A route that requires a role
+// accepts any user whose role is at the same level or higher.
+const ROLES = ['staff', 'supervisor', 'manager', 'admin'];
+
+const SESSION_COOKIE = 'whs_session';
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+// Active sessions keyed by token. Sessions live in memory, so a server
+// restart signs everyone out.
+const sessions = new Map();
+
+function roleRank(role) {
+    return ROLES.indexOf(role);
+}
+
+function hasRole(user, minRole) {
+    return !!user && roleRank(user.role) >= roleRank(minRole);
+}
+
+// Create a session for an authenticated user and return its token. A user
+// on a temporary password (mustChangePassword) can only change it or log
+// out until they do; see requirePasswordChanged.
+function createSession(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions.set(token, {
+        username: user.username,
+        role: user.role,
+        branch: user.branch,
+        mustChangePassword: !!user.mustChangePassword,
+        createdAt: Date.now(),
+        expiresAt: Date.now() + SESSION_TTL_MS
+    });
+    return token;
+}
+
+function getSession(token) {
+    if (!token) return null;
+
+    const session = sessions.get(token);
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+        sessions.delete(token);
+        return null;
+    }
+    return session;
+}
+
+// Whether a session is still valid, for long-lived connections opened
+// under it (it may have expired, logged out or been revoked since)
+function isSessionActive(token) {
+    return !!getSession(token);
+}
+
+function destroySession(token) {
+    return sessions.delete(token);
+}
+
+// Drop sessions belonging to a user, e.g. after their account changes
+function destroyUserSessions(username) {
+    for (const [token, session] of sessions) {
+        if (session.username === username) {
+            sessions.delete(token);
+        }
+    }
+}
+
+// Lift the temporary password restriction from a user's sessions once
+// they have chosen their own password
+function markPasswordChanged(username) {
+    for (const session of sessions.values()) {
+        if (session.username === username) {
+            session.mustChangePassword = false;
+        }
+    }
+}
+
+// Sign everyone out, e.g. after a backup replaced the staff list
+function destroyAllSessions() {
+    sessions.clear();
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+
+    header.split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index === -1) return;
+        const name = pair.slice(0, index).trim();
+        const value = pair.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    });
+    return cookies;
+}
+
+// Read the session token from the cookie, falling back to a bearer token
+// for API clients that do not keep cookies
+function getRequestToken(req) {
+    const cookies = parseCookies(req.headers.cookie);
+    if (cookies[SESSION_COOKIE]) return cookies[SESSION_COOKIE];
+
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Bearer ')) return authHeader.slice(7).trim();
+
+    return null;
+}
+
+function setSessionCookie(res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_TTL_MS
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'strict' });
+}
+
+// Middleware: attach req.user and req.sessionToken when a valid session
+// exists, and req.mustChangePassword for a temporary password
+function authenticate(req, res, next) {
+    const token = getRequestToken(req);
+    const session = getSession(token);
+
+    if (session) {
+        req.sessionToken = token;
+        req.user = { username: session.username, role: session.role, branch: session.branch };
+        req.mustChangePassword = session.mustChangePassword;
+    }
+    next();
+}
+
+// Middleware factory: a user on a temporary password may only call the
+// API paths in allowedPaths (changing it, logging out) until they change it
+function requirePasswordChanged(allowedPaths) {
+    return (req, res, next) => {
+        // Routes match regardless of case, so the check does too
+        const path = req.path.toLowerCase();
+        if (req.mustChangePassword && path.startsWith('/api/') && !allowedPaths.includes(path)) {
+            return res.status(403).json({ success: false, error: 'Change your password before continuing', mustChangePassword: true });
+        }
+        next();
+    };
+}
+
+// Middleware factory: reject requests without a session of at least minRole
+function requireRole(minRole) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ success: false, error: 'Login required' });
+        }
+        if (!hasRole(req.user, minRole)) {
+            return res.status(403).json({ success: false, error: `This action requires ${minRole} access` });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    ROLES,
+    SESSION_TTL_MS,
+    hasRole,
+    createSession,
+    isSessionActive,
+    destroySession,
+    destroyUserSessions,
+    markPasswordChanged,
+    destroyAllSessions,
+    setSessionCookie,
+    clearSessionCookie,
+    authenticate,
+    requirePasswordChanged,
+    requireRole
+};
@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { storage, COLLECTIONS, writeFileAtomic, replaceRecords } = require('./storage');
+const { ApiError } = require('./errors');
+const { getSetting } = require('./settings');
+const { readAuditLines, verifyAuditChain } = require('./audit');
+const { STATUSES } = require('./orderStatus');
+
+// Full backups.
+//
+// A backup is one gzipped JSON file in BACKUP_DIR (default backups/), named
+// backup-<timestamp>-<kind>.json.gz:
+//   { format, version, created_at, created_by, kind, checksum, counts, data }
+// data holds { collections: { <name>: records }, audit_log: [lines],
+// uploads: [{ name, content (base64) }] } and checksum is the SHA-256 of
+// JSON.stringify(data). Every collection is included except the job state
+// and run history. Backups hold password hashes and the tracking secret,
+// so keep them as safe as the data itself.
+//
+// Kinds: manual, scheduled, pre-restore (taken before every restore) and
+// uploaded. Only the newest "Scheduled backups kept" scheduled backups are
+// kept; the others stay until an admin deletes them.
+//
+// Restoring replaces each collection in the backup and writes its uploads
+// back; collections the backup does not have are left alone. The audit log
+// is append-only, so a restore keeps the current log and records itself in
+// it; the backed-up log stays in the archive. A dry run reports what would
+// change without writing anything.
+
+const FORMAT = 'wickrama-backup';
+const VERSION = 1;
+const NAME_PATTERN = /^backup-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)-([a-z-]+)\.json\.gz$/;
+const UPLOAD_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const EXCLUDED = ['jobs', 'job_runs'];
+const BACKED_UP = COLLECTIONS.filter(name => !EXCLUDED.includes(name));
+const SAMPLE_SIZE = 20;
+
+// Field identifying a record in each collection, for the restore diff
+const KEYS = {
+    orders: 'order_number',
+    deleted_orders: 'order_number',
+    signatures: 'order_number',
+    staff: 'username',
+    products: 'sku',
+    branches: 'code',
+    settings: 'key',
+    counters: 'name',
+    secrets: 'name',
+    notification_templates: 'event'
+};
+
+let backupDir = null;
+let uploadsDir = null;
+
+function initBackups(options) {
+    backupDir = process.env.BACKUP_DIR || 'backups';
+    uploadsDir = options.uploadsDir;
+    fs.mkdirSync(backupDir, { recursive: true });
+    return { dir: backupDir };
+}
+
+function checksumOf(data) {
+    return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+function backupFile(name) {
+    if (!NAME_PATTERN.test(String(name))) {
+        throw new ApiError('Backup not found', 404);
+    }
+    const file = path.join(backupDir, name);
+    if (!fs.existsSync(file)) {
+        throw new ApiError('Backup not found', 404);
+    }
+    return file;
+}
+
+function readUploads() {
+    if (!fs.existsSync(uploadsDir)) return [];
+    return fs.readdirSync(uploadsDir)
+        .filter(name => UPLOAD_NAME_PATTERN.test(name) && fs.statSync(path.join(uploadsDir, name)).isFile())
+        .map(name => ({ name, content: fs.readFileSync(path.join(uploadsDir, name)).toString('base64') }));
+}
+
+function writeBackupFile(kind, backup) {
+    const name = `backup-${new Date().toISOString().replace(/[:.]/g, '-')}-${kind}.json.gz`;
+    writeFileAtomic(path.join(backupDir, name), zlib.gzipSync(JSON.stringify(backup)));
+    return name;
+}
+
+// Take a backup now. Returns its listing entry with the checksum.
+async function createBackup(kind, staffName) {
+    const lists = await storage.snapshot(BACKED_UP);
+    const collections = {};
+    BACKED_UP.forEach((name, index) => { collections[name] = lists[index]; });
+
+    const data = { collections, audit_log: readAuditLines(), uploads: readUploads() };
+    const backup = {
+        format: FORMAT,
+        version: VERSION,
+        created_at: new Date().toISOString(),
+        created_by: staffName,
+        kind,
+        checksum: checksumOf(data),
+        counts: countsOf(data),
+        data
+    };
+
+    const name = writeBackupFile(kind, backup);
+    if (kind === 'scheduled') rotateBackups();
+    return { ...describeFile(name), checksum: backup.checksum, counts: backup.counts };
+}
+
+function countsOf(data) {
+    const counts = {};
+    Object.entries(data.collections).forEach(([name, records]) => { counts[name] = records.length; });
+    counts.audit_log = data.audit_log.length;
+    counts.uploads = data.uploads.length;
+    return counts;
+}
+
+// Keep the newest scheduled backups, as many as the setting allows
+function rotateBackups() {
+    const keep = getSetting('backups.keep');
+    listBackupFiles()
+        .filter(backup => backup.kind === 'scheduled')
+        .slice(keep)
+        .forEach(backup => fs.unlinkSync(path.join(backupDir, backup.name)));
+}
+
+function describeFile(name) {
+    const match = name.match(NAME_PATTERN);
+    const [date, time] = match[1].split('T');
+    return {
+        name,
+        kind: match[2],
+        created_at: `${date}T${time.replace(/^(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, '$1:$2:$3.$4Z')}`,
+        size: fs.statSync(path.join(backupDir, name)).size
+    };
+}
+
+function listBackupFiles() {
+    return fs.readdirSync(backupDir)
+        .filter(name => NAME_PATTERN.test(name))
+        .map(describeFile)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+// Backups on disk, newest first
+async function listBackups() {
+    return listBackupFiles();
+}
+
+// Parse and check a backup archive; throws ApiError saying what is wrong
+function parseBackup(buffer) {
+    let backup;
+    try {
+        backup = JSON.parse(zlib.gunzipSync(buffer).toString('utf8'));
+    } catch (error) {
+        throw new ApiError('Not a backup archive (expected a gzipped JSON backup)');
+    }
+
+    if (!backup || backup.format !== FORMAT) {
+        throw new ApiError('Not a backup archive from this system');
+    }
+    if (backup.version !== VERSION) {
+        throw new ApiError(`Backup version ${backup.version} is not supported (expected ${VERSION})`);
+    }
+    const data = backup.data;
+    if (!data || typeof data.collections !== 'object' || !Array.isArray(data.audit_log) || !Array.isArray(data.uploads)) {
+        throw new ApiError('Backup is incomplete');
+    }
+    if (checksumOf(data) !== backup.checksum) {
+        throw new ApiError('Backup checksum does not match: the file is damaged or was edited');
+    }
+
+    Object.entries(data.collections).forEach(([name, records]) => {
+        if (!BACKED_UP.includes(name)) {
+            throw new ApiError(`Backup contains an unknown collection "${name}"`);
+        }
+        if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+            throw new ApiError(`Backup collection ${name} is not a list of records`);
+        }
+    });
+    ['orders', 'deleted_orders'].forEach(name => {
+        (data.collections[name] || []).forEach((order, index) => {
+            if (!order.order_number || !STATUSES.includes(order.status)) {
+                throw new ApiError(`Backup ${name} record ${index + 1} is not a valid order`);
+            }
+        });
+    });
+    data.uploads.forEach(upload => {
+        if (!upload || !UPLOAD_NAME_PATTERN.test(String(upload.name)) || typeof upload.content !== 'string') {
+            throw new ApiError('Backup contains an invalid upload');
+        }
+    });
+    return backup;
+}
+
+function loadBackup(name) {
+    return parseBackup(fs.readFileSync(backupFile(name)));
+}
+
+// Check an uploaded archive and keep it with the other backups
+async function saveUploadedBackup(buffer) {
+    const backup = parseBackup(buffer);
+    const name = writeBackupFile('uploaded', backup);
+    return { ...describeFile(name), checksum: backup.checksum, counts: backup.counts };
+}
+
+function recordKey(name, record, index) {
+    const field = KEYS[name] || 'id';
+    return record[field] !== undefined ? String(record[field]) : `#${index + 1}`;
+}
+
+// What a restore would change, per collection: records added, removed and
+// changed (matched by KEYS), with a sample of each
+async function diffBackup(backup) {
+    const names = Object.keys(backup.data.collections);
+    const lists = await storage.snapshot(names);
+
+    const collections = names.map((name, index) => {
+        const live = new Map(lists[index].map((record, i) => [recordKey(name, record, i), JSON.stringify(record)]));
+        const restored = new Map(backup.data.collections[name].map((record, i) => [recordKey(name, record, i), JSON.stringify(record)]));
+
+        const added = [...restored.keys()].filter(key => !live.has(key));
+        const removed = [...live.keys()].filter(key => !restored.has(key));
+        const changed = [...restored.keys()].filter(key => live.has(key) && live.get(key) !== restored.get(key));
+        return {
+            name,
+            current: lists[index].length,
+            restored: backup.data.collections[name].length,
+            added: added.length,
+            removed: removed.length,
+            changed: changed.length,
+            samples: { added: added.slice(0, SAMPLE_SIZE), removed: removed.slice(0, SAMPLE_SIZE), changed: changed.slice(0, SAMPLE_SIZE) }
+        };
+    });
+
+    const chain = verifyAuditChain(backup.data.audit_log);
+    return {
+        collections,
+        uploads: backup.data.uploads.map(upload => ({
+            name: upload.name,
+            replaces: fs.existsSync(path.join(uploadsDir, upload.name))
+        })),
+        audit_log: { entries: backup.data.audit_log.length, valid: chain.valid, reason: chain.reason || null }
+    };
+}
+
+// Restore a backup on disk, or only describe the changes with dryRun.
+// A pre-restore backup is taken first so the restore can be undone.
+async function restoreBackup(name, { dryRun, staffName }) {
+    const backup = loadBackup(name);
+    const diff = await diffBackup(backup);
+    const summary = { name, created_at: backup.created_at, created_by: backup.created_by, kind: backup.kind, checksum: backup.checksum };
+    if (dryRun) {
+        return { dryRun: true, backup: summary, diff };
+    }
+
+    const safety = await createBackup('pre-restore', staffName);
+
+    const names = Object.keys(backup.data.collections);
+    await storage.update(names, (...lists) => {
+        lists.forEach((list, index) => {
+            replaceRecords(list, backup.data.collections[names[index]]);
+        });
+    });
+
+    fs.mkdirSync(uploadsDir, { recursive: true });
+    backup.data.uploads.forEach(upload => {
+        writeFileAtomic(path.join(uploadsDir, upload.name), Buffer.from(upload.content, 'base64'));
+    });
+
+    return { dryRun: false, backup: summary, diff, safetyBackup: safety.name };
+}
+
+async function deleteBackup(name) {
+    fs.unlinkSync(backupFile(name));
+}
+
+module.exports = {
+    initBackups,
+    createBackup,
+    listBackups,
+    saveUploadedBackup,
+    restoreBackup,
+    backupFile,
+    deleteBackup
+};
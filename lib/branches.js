@@ -0,0 +1,232 @@
+const { storage } = require('./storage');
+const { ApiError } = require('./errors');
+const { hasRole } = require('./auth');
+const { getNumberingConfig, counterName, LEGACY_COUNTER_NAME } = require('./orderNumbers');
+
+// Branches (stores) of the business.
+//
+// Every order, staff account and order number counter belongs to a branch,
+// identified by a short code such as MAIN or KDY. Each branch has its own
+// order number prefix, so numbers never collide between branches, and its
+// own logo and label text. On first start the existing store becomes the
+// default branch and existing orders, staff and the counter move into it.
+//
+// Admins are head office and work across all branches; everyone else sees
+// and acts on their own branch only.
+
+const DEFAULT_BRANCH_CODE = 'MAIN';
+const CODE_PATTERN = /^[A-Z0-9]{2,8}$/;
+const PREFIX_PATTERN = /^[A-Z0-9]{1,8}$/;
+
+// Editable text fields: request name -> stored name and maximum length. An
+// empty label footer means the label footer setting is used.
+const TEXT_FIELDS = {
+    name: { field: 'name', max: 60 },
+    labelHeader: { field: 'label_header', max: 32 },
+    labelFooter: { field: 'label_footer', max: 48 },
+    address: { field: 'address', max: 120 },
+    phone: { field: 'phone', max: 30 }
+};
+
+function isHeadOffice(user) {
+    return hasRole(user, 'admin');
+}
+
+function canAccessBranch(user, code) {
+    return isHeadOffice(user) || (!!user && user.branch === code);
+}
+
+// Branch a list or dashboard covers: staff get their own branch; head
+// office gets the requested one, or null for all. Only a logged-in user
+// can be scoped to all branches.
+function branchScope(user, requested) {
+    if (!user) {
+        throw new ApiError('Login required', 401);
+    }
+    if (!isHeadOffice(user)) return user.branch;
+    const code = String(requested || '').trim().toUpperCase();
+    return code && code !== 'ALL' ? code : null;
+}
+
+function findBranch(branches, code) {
+    const branch = branches.find(b => b.code === String(code || '').trim().toUpperCase());
+    if (!branch) {
+        throw new ApiError(`Branch ${code} not found`, 404);
+    }
+    return branch;
+}
+
+async function listBranches() {
+    return storage.read('branches');
+}
+
+async function getBranch(code) {
+    return findBranch(await storage.read('branches'), code);
+}
+
+// branchScope, checking that a requested branch exists
+async function resolveBranchScope(user, requested) {
+    const scope = branchScope(user, requested);
+    if (scope) await getBranch(scope);
+    return scope;
+}
+
+// Create the default branch on first start and assign records from before
+// branches existed to the first branch. Returns the default branch and the
+// number of records assigned.
+function ensureBranches() {
+    return storage.update(['branches', 'counters', 'deleted_orders', 'orders', 'staff'], (branches, counters, deletedOrders, orders, staff) => {
+        let created = false;
+        if (branches.length === 0) {
+            const name = process.env.STORE_NAME || 'Wickrama Hardware';
+            branches.push({
+                code: DEFAULT_BRANCH_CODE,
+                name,
+                order_prefix: getNumberingConfig().prefix,
+                label_header: name.toUpperCase().slice(0, TEXT_FIELDS.labelHeader.max),
+                label_footer: '',
+                address: '',
+                phone: '',
+                logo_file: null,
+                created_at: new Date().toISOString(),
+                created_by: 'SYSTEM'
+            });
+            created = true;
+        }
+
+        const defaultBranch = branches[0];
+        const unassigned = [...orders, ...deletedOrders, ...staff].filter(record => !record.branch);
+        unassigned.forEach(record => { record.branch = defaultBranch.code; });
+
+        // The single-store counter carries on as the default branch's
+        const legacy = counters.find(c => c.name === LEGACY_COUNTER_NAME);
+        if (legacy && !counters.some(c => c.name === counterName(defaultBranch.code))) {
+            legacy.name = counterName(defaultBranch.code);
+            legacy.branch = defaultBranch.code;
+        }
+
+        return { defaultBranch, created, assigned: unassigned.length };
+    });
+}
+
+// Validated text fields present in `raw`, as stored field names
+function textFields(raw) {
+    const fields = {};
+    Object.entries(TEXT_FIELDS).forEach(([key, { field, max }]) => {
+        if (raw[key] === undefined) return;
+        const value = String(raw[key] || '').trim();
+        if (value.length > max) {
+            throw new ApiError(`Branch ${field.replace('_', ' ')} is too long (max ${max} characters)`);
+        }
+        fields[field] = value;
+    });
+    if (fields.name === '') {
+        throw new ApiError('Branch name cannot be empty');
+    }
+    return fields;
+}
+
+function parsePrefix(value) {
+    const prefix = String(value || '').trim().toUpperCase();
+    if (!PREFIX_PATTERN.test(prefix)) {
+        throw new ApiError('Order number prefix must be 1-8 letters or digits');
+    }
+    return prefix;
+}
+
+function checkPrefixFree(branches, prefix, code) {
+    const owner = branches.find(b => b.order_prefix === prefix && b.code !== code);
+    if (owner) {
+        throw new ApiError(`Order number prefix ${prefix} is already used by ${owner.name}`, 409);
+    }
+}
+
+async function createBranch(raw, staffName) {
+    const code = String(raw.code || '').trim().toUpperCase();
+    if (!CODE_PATTERN.test(code)) {
+        throw new ApiError('Branch code must be 2-8 letters or digits');
+    }
+    const fields = textFields(raw);
+    if (!fields.name) {
+        throw new ApiError('Branch name is required');
+    }
+    const prefix = parsePrefix(raw.orderPrefix || code);
+
+    // Without the prefix in the number every branch would share one sequence
+    if (!getNumberingConfig().format.includes('{PREFIX}')) {
+        throw new ApiError('ORDER_NUMBER_FORMAT must contain {PREFIX} to run more than one branch', 409);
+    }
+
+    return storage.update('branches', branches => {
+        if (branches.some(b => b.code === code)) {
+            throw new ApiError(`Branch ${code} already exists`, 409);
+        }
+        checkPrefixFree(branches, prefix, code);
+
+        const branch = {
+            code,
+            name: fields.name,
+            order_prefix: prefix,
+            label_header: fields.label_header || fields.name.toUpperCase().slice(0, TEXT_FIELDS.labelHeader.max),
+            label_footer: fields.label_footer || '',
+            address: fields.address || '',
+            phone: fields.phone || '',
+            logo_file: null,
+            created_at: new Date().toISOString(),
+            created_by: staffName
+        };
+        branches.push(branch);
+        return branch;
+    });
+}
+
+// Managers may edit their own branch's details; changing the order number
+// prefix is for head office
+async function updateBranch(code, raw, user) {
+    if (!canAccessBranch(user, String(code || '').toUpperCase())) {
+        throw new ApiError('You can only change your own branch', 403);
+    }
+    const fields = textFields(raw);
+    if (raw.orderPrefix !== undefined) {
+        if (!isHeadOffice(user)) {
+            throw new ApiError('Only head office can change the order number prefix', 403);
+        }
+        fields.order_prefix = parsePrefix(raw.orderPrefix);
+    }
+
+    return storage.update('branches', branches => {
+        const branch = findBranch(branches, code);
+        if (fields.order_prefix) checkPrefixFree(branches, fields.order_prefix, branch.code);
+
+        Object.assign(branch, fields);
+        branch.updated_at = new Date().toISOString();
+        branch.updated_by = user.username;
+        return branch;
+    });
+}
+
+// Record a newly uploaded logo. Returns the branch and the file it replaced.
+async function setBranchLogo(code, filename, staffName) {
+    return storage.update('branches', branches => {
+        const branch = findBranch(branches, code);
+        const previous = branch.logo_file;
+        branch.logo_file = filename;
+        branch.updated_at = new Date().toISOString();
+        branch.updated_by = staffName;
+        return { branch, previous };
+    });
+}
+
+module.exports = {
+    DEFAULT_BRANCH_CODE,
+    isHeadOffice,
+    canAccessBranch,
+    branchScope,
+    listBranches,
+    getBranch,
+    resolveBranchScope,
+    ensureBranches,
+    createBranch,
+    updateBranch,
+    setBranchLogo
+};
@@ -0,0 +1,216 @@
+const { ApiError } = require('./errors');
+const { roundMoney } = require('./orderItems');
+
+// Products are stored as
+//   { sku, name, unit, price, on_hand, reserved, created_at, updated_at }
+// "reserved" is stock promised to approved orders that have not been
+// collected yet; available stock is on_hand - reserved.
+
+// Order statuses that hold a stock reservation
+const RESERVING_STATUSES = ['approved', 'packed', 'ready'];
+
+function normalizeSku(sku) {
+    return String(sku || '').trim().toUpperCase();
+}
+
+function findProduct(products, sku) {
+    const key = normalizeSku(sku);
+    return key ? products.find(p => p.sku === key) : undefined;
+}
+
+function availableStock(product) {
+    return roundQty(product.on_hand - (product.reserved || 0));
+}
+
+function roundQty(qty) {
+    return Math.round(qty * 1000) / 1000;
+}
+
+// Validate product fields from a request body or CSV row. Missing fields
+// keep the values from `existing` when updating.
+function normalizeProduct(raw, existing = {}) {
+    const sku = normalizeSku(raw.sku !== undefined ? raw.sku : existing.sku);
+    if (!/^[A-Z0-9._/-]{1,40}$/.test(sku)) {
+        throw new ApiError('SKU must be 1-40 characters: letters, digits, dot, dash, slash or underscore');
+    }
+
+    const name = String(raw.name !== undefined ? raw.name : existing.name || '').trim();
+    if (!name) {
+        throw new ApiError(`${sku}: product name is required`);
+    }
+
+    const price = Number(raw.price !== undefined && raw.price !== '' ? raw.price : existing.price || 0);
+    if (!Number.isFinite(price) || price < 0) {
+        throw new ApiError(`${sku}: price must be zero or more`);
+    }
+
+    const onHandRaw = raw.onHand !== undefined ? raw.onHand : raw.on_hand;
+    const onHand = Number(onHandRaw !== undefined && onHandRaw !== '' ? onHandRaw : existing.on_hand || 0);
+    if (!Number.isFinite(onHand) || onHand < 0) {
+        throw new ApiError(`${sku}: on-hand quantity must be zero or more`);
+    }
+
+    return {
+        sku,
+        name,
+        unit: String(raw.unit !== undefined ? raw.unit : existing.unit || 'pcs').trim() || 'pcs',
+        price: roundMoney(price),
+        on_hand: roundQty(onHand)
+    };
+}
+
+function createProduct(products, raw) {
+    const fields = normalizeProduct(raw);
+    if (findProduct(products, fields.sku)) {
+        throw new ApiError(`A product with SKU ${fields.sku} already exists`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const product = { ...fields, reserved: 0, created_at: now, updated_at: now };
+    products.push(product);
+    return product;
+}
+
+function updateProduct(products, sku, raw) {
+    const product = findProduct(products, sku);
+    if (!product) {
+        throw new ApiError('Product not found', 404);
+    }
+
+    const fields = normalizeProduct({ ...raw, sku: product.sku }, product);
+    if (fields.on_hand < (product.reserved || 0)) {
+        throw new ApiError(`${product.sku}: on-hand quantity cannot be below the ${product.reserved} reserved for open orders`, 409);
+    }
+
+    Object.assign(product, fields, { updated_at: new Date().toISOString() });
+    return product;
+}
+
+function deleteProduct(products, sku) {
+    const index = products.findIndex(p => p.sku === normalizeSku(sku));
+    if (index === -1) {
+        throw new ApiError('Product not found', 404);
+    }
+    if (products[index].reserved > 0) {
+        throw new ApiError(`${products[index].sku} has stock reserved for open orders and cannot be deleted`, 409);
+    }
+    return products.splice(index, 1)[0];
+}
+
+// Create or update products from parsed CSV records (sku, name, unit,
+// price, on_hand). Rows with errors are skipped and reported.
+function importProducts(products, records) {
+    const result = { created: 0, updated: 0, errors: [] };
+
+    records.forEach((record, index) => {
+        const line = index + 2; // header is line 1
+        try {
+            if (findProduct(products, record.sku)) {
+                updateProduct(products, record.sku, record);
+                result.updated++;
+            } else {
+                createProduct(products, record);
+                result.created++;
+            }
+        } catch (error) {
+            if (!(error instanceof ApiError)) throw error;
+            result.errors.push(`Line ${line}: ${error.message}`);
+        }
+    });
+
+    return result;
+}
+
+// Total quantity per catalog SKU in an order. Items without a SKU, or with
+// a SKU not in the catalog, are not stock-tracked.
+function stockQuantities(products, order) {
+    const quantities = new Map();
+    (Array.isArray(order.items) ? order.items : []).forEach(item => {
+        const product = findProduct(products, item.sku);
+        if (product) {
+            quantities.set(product, roundQty((quantities.get(product) || 0) + Number(item.qty || 0)));
+        }
+    });
+    return quantities;
+}
+
+function reserveStock(products, order) {
+    const quantities = stockQuantities(products, order);
+
+    // Check everything first so a shortage leaves no partial reservation
+    for (const [product, qty] of quantities) {
+        if (availableStock(product) < qty) {
+            throw new ApiError(`Insufficient stock for ${product.sku} (${product.name}): ${availableStock(product)} ${product.unit} available, ${qty} needed`, 409);
+        }
+    }
+    for (const [product, qty] of quantities) {
+        product.reserved = roundQty((product.reserved || 0) + qty);
+    }
+    order.stock_reserved = true;
+}
+
+function releaseStock(products, order) {
+    for (const [product, qty] of stockQuantities(products, order)) {
+        product.reserved = Math.max(0, roundQty((product.reserved || 0) - qty));
+    }
+    order.stock_reserved = false;
+}
+
+function consumeStock(products, order) {
+    for (const [product, qty] of stockQuantities(products, order)) {
+        if (order.stock_reserved) {
+            product.reserved = Math.max(0, roundQty((product.reserved || 0) - qty));
+        }
+        product.on_hand = Math.max(0, roundQty(product.on_hand - qty));
+    }
+    order.stock_reserved = false;
+    order.stock_consumed = true;
+}
+
+// Bring an order's stock effect in line with its current status: approved
+// orders reserve stock, completed orders take it off the shelf, orders on
+// hold keep what they had, and any other status (received, cancelled,
+// deleted, ...) holds nothing. Throws a 409 ApiError when stock is short.
+function syncOrderStock(products, order) {
+    if (order.stock_consumed || order.status === 'on-hold') return;
+
+    if (order.status === 'completed') {
+        consumeStock(products, order);
+    } else if (RESERVING_STATUSES.includes(order.status)) {
+        if (!order.stock_reserved) reserveStock(products, order);
+    } else if (order.stock_reserved) {
+        releaseStock(products, order);
+    }
+}
+
+// Give an order new items, moving any stock reserved for the old items to
+// the new ones. Throws a 409 ApiError when stock is short, leaving the
+// order and its reservation as they were.
+function replaceOrderItems(products, order, items) {
+    if (!order.stock_reserved) {
+        order.items = items;
+        return;
+    }
+
+    const previous = order.items;
+    releaseStock(products, order);
+    order.items = items;
+    try {
+        reserveStock(products, order);
+    } catch (error) {
+        order.items = previous;
+        reserveStock(products, order);
+        throw error;
+    }
+}
+
+module.exports = {
+    findProduct,
+    availableStock,
+    createProduct,
+    updateProduct,
+    deleteProduct,
+    importProducts,
+    syncOrderStock,
+    replaceOrderItems
+};
@@ -0,0 +1,99 @@
+// Cron-style schedules: "minute hour day month weekday" in server time,
+// e.g. "0 2 * * *" (daily at 02:00) or "30 3 * * 0" (Sundays at 03:30).
+// Each field takes *, a number, a range (1-5), a list (1,15) and a step
+// (*/15, 8-18/2). Weekdays run 0-6 from Sunday; 7 is also Sunday. As in
+// cron, when both day and weekday are restricted either may match.
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'weekday', min: 0, max: 7 }
+];
+
+// Look at most this far ahead for the next run (covers leap days)
+const MAX_SEARCH_YEARS = 5;
+
+function parseField(text, { name, min, max }) {
+    const values = new Set();
+    text.split(',').forEach(part => {
+        const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`"${part}" is not a valid ${name}`);
+        }
+        const from = match[1] === '*' ? min : Number(match[2]);
+        const to = match[1] === '*' ? max : (match[3] !== undefined ? Number(match[3]) : (match[4] ? max : from));
+        const step = match[4] ? Number(match[4]) : 1;
+        if (from < min || to > max || from > to || step < 1) {
+            throw new Error(`${name} "${part}" must be within ${min}-${max}`);
+        }
+        for (let value = from; value <= to; value += step) values.add(value);
+    });
+    return values;
+}
+
+// Parsed schedule; throws an Error saying what is wrong
+function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error('A schedule needs 5 fields: minute hour day month weekday');
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+    if (weekdays.has(7)) weekdays.add(0);
+
+    const schedule = {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        anyDay: parts[2] === '*',
+        anyWeekday: parts[4] === '*'
+    };
+    if (!nextRun(schedule, new Date())) {
+        throw new Error('This schedule never runs');
+    }
+    return schedule;
+}
+
+function dayMatches(schedule, date) {
+    const day = schedule.days.has(date.getDate());
+    const weekday = schedule.weekdays.has(date.getDay());
+    if (schedule.anyDay) return weekday;
+    if (schedule.anyWeekday) return day;
+    return day || weekday;
+}
+
+// First run strictly after `after`, or null when there is none
+function nextRun(schedule, after) {
+    const time = new Date(after.getTime());
+    time.setSeconds(0, 0);
+    time.setMinutes(time.getMinutes() + 1);
+
+    const limit = new Date(after.getTime());
+    limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+    while (time <= limit) {
+        if (!schedule.months.has(time.getMonth() + 1)) {
+            time.setMonth(time.getMonth() + 1, 1);
+            time.setHours(0, 0);
+        } else if (!dayMatches(schedule, time)) {
+            time.setDate(time.getDate() + 1);
+            time.setHours(0, 0);
+        } else if (!schedule.hours.has(time.getHours())) {
+            time.setHours(time.getHours() + 1, 0);
+        } else if (!schedule.minutes.has(time.getMinutes())) {
+            time.setMinutes(time.getMinutes() + 1);
+        } else {
+            return time;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    nextRun
+};
@@ -0,0 +1,84 @@
+// Minimal RFC 4180 CSV reading and writing: quoted fields, escaped quotes
+// ("") and newlines inside quotes.
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Skip blank lines
+    return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+// Parse CSV with a header row into objects keyed by lower-cased header names
+function parseCsvRecords(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+
+    const keys = header.map(h => h.trim().toLowerCase());
+    return rows.map(values => {
+        const record = {};
+        keys.forEach((key, index) => {
+            record[key] = (values[index] || '').trim();
+        });
+        return record;
+    });
+}
+
+function escapeCsvField(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+    return values.map(escapeCsvField).join(',');
+}
+
+// Build CSV text from a header list and an array of row arrays
+function toCsv(header, rows) {
+    return [header, ...rows].map(toCsvLine).join('\n') + '\n';
+}
+
+module.exports = {
+    parseCsv,
+    parseCsvRecords,
+    escapeCsvField,
+    toCsvLine,
+    toCsv
+};
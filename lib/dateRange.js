@@ -0,0 +1,37 @@
+const { ApiError } = require('./errors');
+
+// Date range query parameters shared by the audit log and reports.
+// Day-only dates cover the whole day: from=2025-08-06 starts at local
+// midnight, to=2025-08-06 runs to the end of that day. Full timestamps are
+// used as given.
+
+function parseDateBound(value, endOfDay) {
+    if (!value) return null;
+    const text = String(value);
+    const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+    const date = new Date(dayOnly ? `${text}T00:00:00` : text);
+    if (Number.isNaN(date.getTime())) {
+        throw new ApiError(`Invalid date "${text}"`);
+    }
+    if (dayOnly && endOfDay) date.setDate(date.getDate() + 1);
+    return date;
+}
+
+// { from, to } as Dates (either may be null); `to` is exclusive
+function parseDateRange({ from, to } = {}) {
+    const range = { from: parseDateBound(from, false), to: parseDateBound(to, true) };
+    if (range.from && range.to && range.from >= range.to) {
+        throw new ApiError('The start date must be before the end date');
+    }
+    return range;
+}
+
+function inRange(timestamp, { from, to }) {
+    const time = new Date(timestamp);
+    return (!from || time >= from) && (!to || time < to);
+}
+
+module.exports = {
+    parseDateRange,
+    inRange
+};
@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const { storage } = require('./storage');
+const { ApiError } = require('./errors');
+const { canAccessBranch, branchScope } = require('./branches');
+
+// Invoices pushed from the ERP, matched to pickup orders.
+//
+// The ERP posts invoices (or a CSV is imported) and each is matched to an
+// open order without an invoice number:
+//   - an order number on the invoice matches directly;
+//   - otherwise an order matches on phone and amount, with the customer
+//     name as a tie-breaker. A single clear match is applied at once;
+//     anything ambiguous goes to the review queue with its candidates.
+// Invoices are kept in the `erp_invoices` collection with status matched,
+// review, unmatched or dismissed. Re-sending an invoice number already
+// received is ignored, so the ERP can safely retry.
+//
+// An invoice belongs to the branches of the orders it matched, names or
+// has as candidates; staff see and work on their own branch's invoices
+// only, and a CSV they import is matched against their own branch's
+// orders. Invoices that point to no order are left to head office.
+
+// Orders that can still take an invoice number (ready needs one already)
+const OPEN_STATUSES = ['received', 'approved', 'packed', 'on-hold'];
+
+function requireErpKey(req, res, next) {
+    const expected = process.env.ERP_API_KEY;
+    if (!expected) {
+        return res.status(503).json({ success: false, error: 'ERP integration is not configured (set ERP_API_KEY)' });
+    }
+
+    const header = req.get('authorization') || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7) : (req.get('x-api-key') || '');
+    const a = crypto.createHash('sha256').update(given).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    if (!given || !crypto.timingSafeEqual(a, b)) {
+        return res.status(401).json({ success: false, error: 'Invalid ERP API key' });
+    }
+    next();
+}
+
+function phoneKey(phone) {
+    return String(phone || '').replace(/\D/g, '').slice(-9);
+}
+
+function nameKey(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Accept camelCase (API) and snake_case (CSV) field names
+function normalizeInvoice(raw) {
+    const pick = (...keys) => {
+        const key = keys.find(k => raw[k] !== undefined && raw[k] !== null && String(raw[k]).trim() !== '');
+        return key ? String(raw[key]).trim() : '';
+    };
+
+    const invoiceNumber = pick('invoiceNumber', 'invoice_number', 'invoice');
+    if (!invoiceNumber) {
+        throw new ApiError('Invoice number is required');
+    }
+    if (invoiceNumber.length > 64) {
+        throw new ApiError('Invoice number is too long (max 64 characters)');
+    }
+
+    const amountText = pick('amount', 'total');
+    const amount = amountText === '' ? null : Number(amountText);
+    if (amount !== null && (!Number.isFinite(amount) || amount < 0)) {
+        throw new ApiError(`Invalid amount "${amountText}"`);
+    }
+
+    return {
+        invoice_number: invoiceNumber,
+        order_number_hint: pick('orderNumber', 'order_number').toUpperCase(),
+        customer_phone: pick('customerPhone', 'customer_phone', 'phone'),
+        customer_name: pick('customerName', 'customer_name', 'customer'),
+        amount,
+        invoice_date: pick('date', 'invoiceDate', 'invoice_date')
+    };
+}
+
+function scoreCandidate(invoice, order) {
+    const reasons = [];
+    if (invoice.customer_phone && phoneKey(invoice.customer_phone) === phoneKey(order.customer_phone)) reasons.push('phone');
+    if (invoice.amount !== null && Math.abs(Number(order.total || 0) - invoice.amount) < 0.01) reasons.push('amount');
+    const invoiceName = nameKey(invoice.customer_name);
+    const orderName = nameKey(order.customer_name);
+    if (invoiceName && orderName && (invoiceName.includes(orderName) || orderName.includes(invoiceName))) reasons.push('name');
+
+    const weights = { phone: 2, amount: 2, name: 1 };
+    return { score: reasons.reduce((sum, reason) => sum + weights[reason], 0), reasons };
+}
+
+// Decide what an invoice matches: { status, order, candidates, note }
+function matchInvoice(invoice, orders) {
+    if (invoice.order_number_hint) {
+        const order = orders.find(o => o.order_number === invoice.order_number_hint);
+        if (order && !order.invoice_number && OPEN_STATUSES.includes(order.status)) {
+            return { status: 'matched', order, candidates: [], note: 'Matched by order number' };
+        }
+        const problem = !order ? 'not found' : order.invoice_number ? `already has invoice ${order.invoice_number}` : `is ${order.status}`;
+        return { status: 'review', order: null, candidates: [], note: `Order ${invoice.order_number_hint} ${problem}` };
+    }
+
+    const candidates = orders
+        .filter(order => !order.invoice_number && OPEN_STATUSES.includes(order.status))
+        .map(order => ({ order, ...scoreCandidate(invoice, order) }))
+        .filter(candidate => candidate.reasons.includes('phone') || candidate.reasons.length >= 2)
+        .sort((a, b) => b.score - a.score || a.order.created_at.localeCompare(b.order.created_at));
+
+    const strong = candidates.filter(c => c.reasons.includes('phone') && c.reasons.includes('amount'));
+    const summary = candidates.slice(0, 5).map(c => ({
+        order_number: c.order.order_number,
+        customer_name: c.order.customer_name,
+        total: c.order.total,
+        reasons: c.reasons
+    }));
+
+    if (strong.length === 1) {
+        return { status: 'matched', order: strong[0].order, candidates: [], note: `Matched on ${strong[0].reasons.join(', ')}` };
+    }
+    if (strong.length > 1) {
+        // The name can settle it when only one strong candidate has it
+        const named = strong.filter(c => c.reasons.includes('name'));
+        if (named.length === 1) {
+            return { status: 'matched', order: named[0].order, candidates: [], note: `Matched on ${named[0].reasons.join(', ')}` };
+        }
+        return { status: 'review', order: null, candidates: summary, note: `${strong.length} orders match phone and amount` };
+    }
+    if (candidates.length) {
+        return { status: 'review', order: null, candidates: summary, note: 'No order matches both phone and amount' };
+    }
+    return { status: 'unmatched', order: null, candidates: [], note: 'No matching open order' };
+}
+
+function applyMatch(record, order, matchedBy) {
+    order.invoice_number = record.invoice_number;
+    record.status = 'matched';
+    record.order_number = order.order_number;
+    record.matched_by = matchedBy;
+    record.matched_at = new Date().toISOString();
+}
+
+// Store and match a batch of raw invoices. `user` is the staff member
+// importing them, whose branch the matches are limited to, or null for
+// invoices pushed by the ERP, which match in every branch. Returns
+// per-invoice results, the orders that received an invoice number and
+// rejected lines.
+async function ingestInvoices(rawInvoices, { source, user = null }) {
+    const branch = user ? branchScope(user) : null;
+
+    return storage.update(['erp_invoices', 'orders'], (invoices, orders) => {
+        const result = { results: [], matched: [], errors: [] };
+        const matchable = orders.filter(order => !branch || order.branch === branch);
+
+        rawInvoices.forEach((raw, index) => {
+            let invoice;
+            try {
+                invoice = normalizeInvoice(raw || {});
+            } catch (error) {
+                if (!(error instanceof ApiError)) throw error;
+                result.errors.push(`Invoice ${index + 1}: ${error.message}`);
+                return;
+            }
+
+            const existing = invoices.find(i => i.invoice_number === invoice.invoice_number);
+            if (existing) {
+                result.results.push({ invoice_number: existing.invoice_number, status: existing.status, order_number: existing.order_number || null, duplicate: true });
+                return;
+            }
+
+            const match = matchInvoice(invoice, matchable);
+            const record = {
+                id: crypto.randomBytes(8).toString('hex'),
+                ...invoice,
+                source,
+                status: match.status,
+                order_number: null,
+                candidates: match.candidates,
+                note: match.note,
+                received_at: new Date().toISOString(),
+                received_by: user ? user.username : 'ERP'
+            };
+            if (match.order) {
+                applyMatch(record, match.order, 'auto');
+                result.matched.push(match.order);
+            }
+            invoices.push(record);
+            result.results.push({ id: record.id, invoice_number: record.invoice_number, status: record.status, order_number: record.order_number, note: record.note });
+        });
+
+        return result;
+    });
+}
+
+// Order number -> branch, for the orders in the given lists
+function orderBranches(...lists) {
+    const branches = new Map();
+    lists.forEach(list => list.forEach(order => branches.set(order.order_number, order.branch)));
+    return branches;
+}
+
+// The invoice as seen from `branch` (null for all branches), without
+// candidates from other branches, or null when it is not that branch's
+function scopeInvoice(invoice, branch, branchOf) {
+    if (!branch) return invoice;
+    const candidates = invoice.candidates || [];
+    const numbers = [invoice.order_number, invoice.order_number_hint, ...candidates.map(c => c.order_number)];
+    if (!numbers.some(number => number && branchOf.get(number) === branch)) return null;
+    return { ...invoice, candidates: candidates.filter(c => branchOf.get(c.order_number) === branch) };
+}
+
+// Invoices with `status`, newest first, limited to `branch` (null for all)
+async function listInvoices({ status, branch = null } = {}) {
+    const [invoices, orders, deletedOrders] = await storage.snapshot(['erp_invoices', 'orders', 'deleted_orders']);
+    const branchOf = orderBranches(orders, deletedOrders);
+    return invoices
+        .filter(invoice => !status || invoice.status === status)
+        .map(invoice => scopeInvoice(invoice, branch, branchOf))
+        .filter(Boolean)
+        .sort((a, b) => new Date(b.received_at) - new Date(a.received_at));
+}
+
+// A queued invoice `user` may work on
+function findReviewable(invoices, orders, id, user) {
+    const invoice = invoices.find(i => i.id === id);
+    if (!invoice || !scopeInvoice(invoice, branchScope(user), orderBranches(orders))) {
+        throw new ApiError('Invoice not found', 404);
+    }
+    if (!['review', 'unmatched'].includes(invoice.status)) {
+        throw new ApiError(`Invoice ${invoice.invoice_number} is already ${invoice.status}`, 409);
+    }
+    return invoice;
+}
+
+// Match a queued invoice to an order chosen by staff, in a branch they work in
+async function resolveInvoice(id, orderNumber, user) {
+    return storage.update(['erp_invoices', 'orders'], (invoices, orders) => {
+        const invoice = findReviewable(invoices, orders, id, user);
+        const order = orders.find(o => o.order_number === String(orderNumber || '').trim().toUpperCase());
+        if (!order || !canAccessBranch(user, order.branch)) {
+            throw new ApiError('Order not found', 404);
+        }
+        if (order.invoice_number) {
+            throw new ApiError(`Order ${order.order_number} already has invoice ${order.invoice_number}`, 409);
+        }
+        if (!OPEN_STATUSES.includes(order.status)) {
+            throw new ApiError(`Order ${order.order_number} is ${order.status} and cannot take an invoice number`, 409);
+        }
+        applyMatch(invoice, order, user.username);
+        invoice.note = `Matched by ${user.username}`;
+        return { invoice, order };
+    });
+}
+
+async function dismissInvoice(id, reason, user) {
+    return storage.update(['erp_invoices', 'orders'], (invoices, orders) => {
+        const invoice = findReviewable(invoices, orders, id, user);
+        invoice.status = 'dismissed';
+        invoice.note = String(reason || '').trim() || `Dismissed by ${user.username}`;
+        invoice.dismissed_by = user.username;
+        invoice.dismissed_at = new Date().toISOString();
+        return invoice;
+    });
+}
+
+module.exports = {
+    requireErpKey,
+    ingestInvoices,
+    listInvoices,
+    resolveInvoice,
+    dismissInvoice
+};
@@ -0,0 +1,27 @@
+const { StorageError } = require('./storage');
+
+// Error carrying the HTTP status the API should answer with
+class ApiError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Send an ApiError with its status and message; storage failures and
+// anything unexpected are logged and answered with a generic message
+function sendError(res, error, fallbackMessage) {
+    if (error instanceof ApiError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(fallbackMessage + ':', error);
+    if (error instanceof StorageError) {
+        return res.status(503).json({ success: false, error: `${fallbackMessage}: data store unavailable` });
+    }
+    res.status(500).json({ success: false, error: fallbackMessage });
+}
+
+module.exports = {
+    ApiError,
+    sendError
+};
@@ -0,0 +1,116 @@
+// ESC/POS byte stream builder for receipt printers.
+//
+// Only the commands common to Epson-compatible printers are used: text
+// styling, alignment, Code128 barcodes (GS k), QR codes (GS ( k) and a
+// partial cut. Text is sent as ASCII; characters the printer's default
+// code page cannot show are replaced with '?'.
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+// Characters per line in font A
+const LINE_WIDTH = { 58: 32, 80: 48 };
+
+function toPrintable(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\x20-\x7e\n]/g, '?');
+}
+
+function createEscPos({ paperWidth = 80 } = {}) {
+    const width = LINE_WIDTH[paperWidth] || LINE_WIDTH[80];
+    const chunks = [Buffer.from([ESC, 0x40])]; // initialise
+
+    const builder = {
+        width,
+
+        raw(bytes) {
+            chunks.push(Buffer.from(bytes));
+            return builder;
+        },
+
+        text(value) {
+            chunks.push(Buffer.from(toPrintable(value), 'ascii'));
+            return builder;
+        },
+
+        line(value = '') {
+            return builder.text(value).raw([LF]);
+        },
+
+        feed(lines = 1) {
+            return builder.raw([ESC, 0x64, lines]);
+        },
+
+        align(position) {
+            return builder.raw([ESC, 0x61, { left: 0, center: 1, right: 2 }[position] || 0]);
+        },
+
+        bold(on = true) {
+            return builder.raw([ESC, 0x45, on ? 1 : 0]);
+        },
+
+        // Character size multiplier, 1-8 in each direction
+        size(widthScale = 1, heightScale = 1) {
+            return builder.raw([GS, 0x21, ((widthScale - 1) << 4) | (heightScale - 1)]);
+        },
+
+        divider(char = '-') {
+            return builder.line(char.repeat(width));
+        },
+
+        // Left and right text on one line, left side truncated to fit
+        columns(left, right) {
+            const rightText = toPrintable(right);
+            const room = rightText ? Math.max(1, width - rightText.length - 1) : width;
+            let leftText = toPrintable(left);
+            if (leftText.length > room) leftText = leftText.slice(0, room - 1) + '~';
+            if (!rightText) return builder.line(leftText);
+            return builder.line(leftText + ' '.repeat(Math.max(1, width - leftText.length - rightText.length)) + rightText);
+        },
+
+        // Code128 (code set B) with the human-readable text below
+        barcode(data, { height = 80, moduleWidth = 2 } = {}) {
+            const payload = Buffer.from('{B' + toPrintable(data), 'ascii');
+            return builder
+                .raw([GS, 0x68, height])
+                .raw([GS, 0x77, moduleWidth])
+                .raw([GS, 0x48, 2]) // HRI below
+                .raw([GS, 0x6b, 73, payload.length])
+                .raw(payload)
+                .raw([LF]);
+        },
+
+        // QR code, model 2, error correction M
+        qr(data, { moduleSize = 6 } = {}) {
+            const payload = Buffer.from(String(data), 'utf8');
+            const storeLength = payload.length + 3;
+            return builder
+                .raw([GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0x00])
+                .raw([GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, moduleSize])
+                .raw([GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31])
+                .raw([GS, 0x28, 0x6b, storeLength & 0xff, storeLength >> 8, 0x31, 0x50, 0x30])
+                .raw(payload)
+                .raw([GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30])
+                .raw([LF]);
+        },
+
+        // Feed past the cutter and partially cut
+        cut() {
+            return builder.raw([GS, 0x56, 66, 3]);
+        },
+
+        toBuffer() {
+            return Buffer.concat(chunks);
+        }
+    };
+
+    return builder;
+}
+
+module.exports = {
+    LINE_WIDTH,
+    createEscPos
+};
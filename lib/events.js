@@ -0,0 +1,90 @@
+const { isSessionActive } = require('./auth');
+const { canAccessBranch } = require('./branches');
+
+// Server-Sent Events for live order updates.
+//
+// Staff streams receive the events of the branches their user can access,
+// for as long as the session they were opened under is valid: the session
+// is checked on every push and heartbeat, and the stream is closed once it
+// has expired, logged out or been revoked. Customer streams are bound to a
+// single order number and only receive that order's events, carrying the
+// same public view as the customer lookup. Customers subscribe with one of
+// the order's tracking tokens, checked by the route before calling
+// addClient; the token's scope decides what the view shows.
+
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_CLIENTS = Number(process.env.EVENTS_MAX_CLIENTS) || 500;
+
+const clients = new Set();
+
+function send(client, type, data) {
+    client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function removeClient(client) {
+    clearInterval(client.heartbeat);
+    clients.delete(client);
+}
+
+// A staff stream whose session has ended is closed rather than written to
+function staffStreamOpen(client) {
+    if (isSessionActive(client.sessionToken)) return true;
+    removeClient(client);
+    client.res.end();
+    return false;
+}
+
+// Open an event stream on `res`: a staff stream for `user` and the session
+// `sessionToken`, or a customer stream for `orderNumber`. Returns false
+// when the server is at its connection limit so the caller can answer with
+// an error instead.
+function addClient(req, res, { user = null, sessionToken = null, orderNumber = null, scope = null } = {}) {
+    if (clients.size >= MAX_CLIENTS) return false;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = { res, user, sessionToken, orderNumber, scope };
+    client.heartbeat = setInterval(() => {
+        if (orderNumber === null && !staffStreamOpen(client)) return;
+        res.write(': ping\n\n');
+    }, HEARTBEAT_MS);
+    clients.add(client);
+
+    req.on('close', () => removeClient(client));
+
+    send(client, 'connected', { orderNumber });
+    return true;
+}
+
+// Broadcast an order event. `event` goes to staff streams that can access
+// its branch; customers
+// watching that order get customerView(scope), the public view for their
+// token's scope (customerView is null when the order is no longer visible
+// to them, e.g. deleted).
+function publish(event, customerView) {
+    for (const client of clients) {
+        if (client.orderNumber === null) {
+            if (staffStreamOpen(client) && canAccessBranch(client.user, event.branch)) {
+                send(client, 'order', event);
+            }
+        } else if (client.orderNumber === event.order_number) {
+            send(client, 'order', { type: event.type, order_number: event.order_number, order: customerView ? customerView(client.scope) : null });
+        }
+    }
+}
+
+function clientCount() {
+    return clients.size;
+}
+
+module.exports = {
+    addClient,
+    publish,
+    clientCount
+};
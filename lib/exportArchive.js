@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { writeFileAtomic } = require('./storage');
+
+// Archive of old order exports.
+//
+// Orders permanently deleted are exported to exports/order-<number>-
+// <timestamp>.json. Exports older than a given number of days are moved
+// into exports/archive/exports-<timestamp>.jsonl.gz, one line per export
+// as { filename, data }. exports/archive/index.json lists the archives
+// with the order numbers in each, so archived numbers are never reused.
+
+const EXPORT_PATTERN = /^order-(.+)-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.json$/;
+
+function archiveDir(exportsDir) {
+    return path.join(exportsDir, 'archive');
+}
+
+function readIndex(exportsDir) {
+    const file = path.join(archiveDir(exportsDir), 'index.json');
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+}
+
+// Order numbers of exports that were archived
+function archivedOrderNumbers(exportsDir) {
+    const numbers = new Set();
+    readIndex(exportsDir).forEach(archive => archive.orders.forEach(number => numbers.add(number)));
+    return numbers;
+}
+
+// Move exports older than `days` into a new archive. The archive and index
+// are written before the exports are removed, so a crash part-way leaves
+// an export in both places rather than in neither.
+function archiveExports(exportsDir, days) {
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const candidates = fs.existsSync(exportsDir)
+        ? fs.readdirSync(exportsDir).filter(filename => {
+            if (!EXPORT_PATTERN.test(filename)) return false;
+            return fs.statSync(path.join(exportsDir, filename)).mtimeMs < cutoff;
+        })
+        : [];
+    if (candidates.length === 0) {
+        return { archived: 0, archive: null };
+    }
+
+    const lines = candidates.map(filename => JSON.stringify({
+        filename,
+        data: JSON.parse(fs.readFileSync(path.join(exportsDir, filename), 'utf8'))
+    }));
+    const archive = `exports-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl.gz`;
+
+    fs.mkdirSync(archiveDir(exportsDir), { recursive: true });
+    writeFileAtomic(path.join(archiveDir(exportsDir), archive), zlib.gzipSync(lines.join('\n') + '\n'));
+
+    const index = readIndex(exportsDir);
+    index.push({
+        archive,
+        created_at: new Date().toISOString(),
+        orders: candidates.map(filename => filename.match(EXPORT_PATTERN)[1])
+    });
+    writeFileAtomic(path.join(archiveDir(exportsDir), 'index.json'), JSON.stringify(index, null, 2));
+
+    candidates.forEach(filename => fs.unlinkSync(path.join(exportsDir, filename)));
+    return { archived: candidates.length, archive };
+}
+
+module.exports = {
+    EXPORT_PATTERN,
+    archivedOrderNumbers,
+    archiveExports
+};
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { hasRole } = require('./auth');
+const { pickupCode } = require('./tracking');
+
+// Verified pickup handover.
+//
+// When an order becomes ready it is issued a one-time pickup code, sent with
+// the ready notification and shown on the tracking page. The code is derived
+// from the order number and a random code id kept on the order, so the code
+// itself is never stored and staff screens do not see it. Leaving ready or
+// handing the order over retires the code.
+//
+// An order is completed only through a handover, verified by the pickup
+// code or by a supervisor who has checked the collector's ID. Who collected
+// it (the customer or a named proxy), their ID number, how it was verified
+// and whether a signature was captured are kept in order.handover and on
+// the completed entry of the status history. Signature images are kept in
+// the `signatures` collection as { order_number, image, captured_at,
+// captured_by }.
+
+const MAX_CODE_FAILURES = 5;
+const ID_NUMBER_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 -]{2,29}$/;
+const SIGNATURE_PATTERN = /^data:image\/png;base64,[A-Za-z0-9+/]+=*$/;
+const MAX_SIGNATURE_LENGTH = 300 * 1024;
+
+function issuePickupCode(order) {
+    order.pickup_code_id = crypto.randomBytes(8).toString('hex');
+    order.pickup_code_issued_at = new Date().toISOString();
+    order.pickup_code_failures = 0;
+}
+
+function retirePickupCode(order) {
+    delete order.pickup_code_id;
+    delete order.pickup_code_issued_at;
+    delete order.pickup_code_failures;
+}
+
+// The order's live pickup code, or null when it has none
+function currentPickupCode(order) {
+    return order.status === 'ready' && order.pickup_code_id ? pickupCode(order.order_number, order.pickup_code_id) : null;
+}
+
+function codesMatch(expected, given) {
+    const a = Buffer.from(expected);
+    const b = Buffer.from(given);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Validated collector details: { collected_by, collector_name, id_number }
+function parseCollector(raw, order) {
+    const collectedBy = raw.collectedBy || 'customer';
+    if (!['customer', 'proxy'].includes(collectedBy)) {
+        throw new ApiError('collectedBy must be customer or proxy');
+    }
+
+    const idNumber = String(raw.idNumber || '').trim().toUpperCase();
+    if (idNumber && !ID_NUMBER_PATTERN.test(idNumber)) {
+        throw new ApiError('ID number must be 3-30 letters, digits, spaces or dashes');
+    }
+
+    if (collectedBy === 'customer') {
+        return { collected_by: 'customer', collector_name: order.customer_name, id_number: idNumber || null };
+    }
+
+    const name = String(raw.collectorName || '').trim();
+    if (!name) {
+        throw new ApiError('Enter the name of the person collecting for the customer');
+    }
+    if (name.length > 80) {
+        throw new ApiError('Collector name is too long (max 80 characters)');
+    }
+    if (!idNumber) {
+        throw new ApiError('An ID number is required when someone collects for the customer');
+    }
+    return { collected_by: 'proxy', collector_name: name, id_number: idNumber };
+}
+
+function parseSignature(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string' || !SIGNATURE_PATTERN.test(value)) {
+        throw new ApiError('Signature must be a PNG image data URL');
+    }
+    if (value.length > MAX_SIGNATURE_LENGTH) {
+        throw new ApiError('Signature image is too large');
+    }
+    return value;
+}
+
+// Check a handover request against a ready order. Returns { handover,
+// signature } when it may go ahead, or { refused } after a wrong pickup
+// code; the failure count on the order is updated either way, so call this
+// inside a storage update and let it write even when refused.
+function verifyHandover(order, raw, user) {
+    if (order.status !== 'ready') {
+        throw new ApiError(`Only ready orders can be handed over (this one is ${order.status})`, 409);
+    }
+
+    const collector = parseCollector(raw, order);
+    const signature = parseSignature(raw.signature);
+    const handover = {
+        ...collector,
+        verified_by: null,
+        override_reason: null,
+        signature: Boolean(signature),
+        staff: user.username,
+        timestamp: new Date().toISOString()
+    };
+
+    if (raw.override) {
+        if (!hasRole(user, 'supervisor')) {
+            throw new ApiError('Only a supervisor can hand over an order without the pickup code', 403);
+        }
+        const reason = String(raw.overrideReason || '').trim();
+        if (!reason) {
+            throw new ApiError('Give a reason for handing over without the pickup code');
+        }
+        if (!collector.id_number) {
+            throw new ApiError("Record the collector's ID number when handing over without the pickup code");
+        }
+        handover.verified_by = 'supervisor';
+        handover.override_reason = reason;
+        return { handover, signature };
+    }
+
+    const expected = currentPickupCode(order);
+    if (!expected) {
+        throw new ApiError("This order has no pickup code. A supervisor must check the collector's ID", 409);
+    }
+    if ((order.pickup_code_failures || 0) >= MAX_CODE_FAILURES) {
+        throw new ApiError("Too many wrong pickup codes. A supervisor must check the collector's ID", 409);
+    }
+
+    const given = String(raw.pickupCode || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(given)) {
+        throw new ApiError('Enter the 6-digit pickup code');
+    }
+    if (!codesMatch(expected, given)) {
+        order.pickup_code_failures = (order.pickup_code_failures || 0) + 1;
+        const left = MAX_CODE_FAILURES - order.pickup_code_failures;
+        return {
+            refused: left > 0
+                ? `Wrong pickup code (${left} ${left === 1 ? 'try' : 'tries'} left)`
+                : "Wrong pickup code. No tries left: a supervisor must check the collector's ID"
+        };
+    }
+
+    handover.verified_by = 'pickup_code';
+    return { handover, signature };
+}
+
+// Record a verified handover once the order has moved to completed, and
+// store the signature if one was captured
+function recordHandover(order, handover, signature, signatures) {
+    order.handover = handover;
+    const entry = order.status_history[order.status_history.length - 1];
+    if (entry && entry.status === 'completed') entry.handover = handover;
+
+    if (signature) {
+        takeSignature(signatures, order.order_number);
+        signatures.push({
+            order_number: order.order_number,
+            image: signature,
+            captured_at: handover.timestamp,
+            captured_by: handover.staff
+        });
+    }
+}
+
+// Remove and return an order's signature record, e.g. when the order is
+// permanently deleted
+function takeSignature(signatures, orderNumber) {
+    const index = signatures.findIndex(s => s.order_number === orderNumber);
+    return index === -1 ? null : signatures.splice(index, 1)[0];
+}
+
+// One line for the audit log and staff screens
+function describeHandover(handover) {
+    const who = handover.collected_by === 'proxy'
+        ? `proxy ${handover.collector_name} (ID ${handover.id_number})`
+        : `customer${handover.id_number ? ` (ID ${handover.id_number})` : ''}`;
+    const how = handover.verified_by === 'pickup_code'
+        ? 'pickup code'
+        : `supervisor ID check by ${handover.staff}: ${handover.override_reason}`;
+    return `Collected by ${who}, verified by ${how}${handover.signature ? ', signed' : ''}`;
+}
+
+module.exports = {
+    issuePickupCode,
+    retirePickupCode,
+    currentPickupCode,
+    verifyHandover,
+    recordHandover,
+    takeSignature,
+    describeHandover
+};
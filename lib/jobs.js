@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const { storage, replaceRecords } = require('./storage');
+const { ApiError } = require('./errors');
+const { getSetting } = require('./settings');
+const { parseCron, nextRun } = require('./cron');
+
+// Scheduled background jobs.
+//
+// Jobs are registered with defineJob(name, { description, setting, run }).
+// `run` does the work and resolves to counts for the run history, e.g.
+// { deleted: 3 }. The schedule is the cron expression (see lib/cron.js) in
+// the setting named by `setting`; an empty schedule turns the job off.
+//
+// The `jobs` collection keeps each job's state as { name, schedule,
+// registered_at, next_run_at, last_run_at, last_status, last_error }, so
+// runs missed while the server was down are caught up once at startup,
+// however many were missed. A new job's schedule starts when it is first
+// registered, so it first runs at its next scheduled time. The `job_runs`
+// collection is the run history: { id, job, trigger (schedule, catch-up or
+// manual), triggered_by, started_at, finished_at, status (running, success,
+// failed or interrupted), counts, error }, keeping the newest
+// MAX_RUNS_PER_JOB runs of each job. A job never runs twice at once.
+
+const TICK_INTERVAL_MS = 30 * 1000;
+const MAX_RUNS_PER_JOB = 50;
+
+const definitions = new Map();
+const running = new Set();
+let ticking = false;
+
+function defineJob(name, { description, setting, run }) {
+    definitions.set(name, { name, description, setting, run });
+}
+
+function scheduleOf(job) {
+    return getSetting(job.setting);
+}
+
+function nextRunAfter(schedule, after) {
+    if (!schedule) return null;
+    const next = nextRun(parseCron(schedule), after);
+    return next ? next.toISOString() : null;
+}
+
+function findJob(name) {
+    const job = definitions.get(name);
+    if (!job) {
+        throw new ApiError(`Unknown job "${name}". Jobs: ${[...definitions.keys()].join(', ')}`, 404);
+    }
+    return job;
+}
+
+// Run a job now and record the run. Resolves to the finished run record;
+// a failing job is recorded, not thrown.
+async function runJob(name, trigger, triggeredBy = 'SYSTEM') {
+    const job = findJob(name);
+    if (running.has(name)) {
+        throw new ApiError(`Job ${name} is already running`, 409);
+    }
+    running.add(name);
+
+    const run = {
+        id: crypto.randomBytes(8).toString('hex'),
+        job: name,
+        trigger,
+        triggered_by: triggeredBy,
+        started_at: new Date().toISOString(),
+        finished_at: null,
+        status: 'running',
+        counts: {},
+        error: null
+    };
+
+    try {
+        await storage.update('job_runs', runs => { runs.push({ ...run }); });
+
+        try {
+            run.counts = (await job.run()) || {};
+            run.status = 'success';
+        } catch (error) {
+            console.error(`Job ${name} failed:`, error);
+            run.status = 'failed';
+            run.error = error.message;
+        }
+        run.finished_at = new Date().toISOString();
+
+        await storage.update(['jobs', 'job_runs'], (states, runs) => {
+            const stored = runs.find(r => r.id === run.id);
+            if (stored) Object.assign(stored, run);
+            pruneRuns(runs, name);
+
+            const state = stateFor(states, name);
+            const schedule = scheduleOf(job);
+            state.last_run_at = run.started_at;
+            state.last_status = run.status;
+            state.last_error = run.error;
+            // Manual runs leave the schedule alone unless it has come due
+            if (trigger !== 'manual' || !state.next_run_at || new Date(state.next_run_at) <= new Date()) {
+                state.schedule = schedule;
+                state.next_run_at = nextRunAfter(schedule, new Date());
+            }
+        });
+        return run;
+    } finally {
+        running.delete(name);
+    }
+}
+
+function stateFor(states, name) {
+    let state = states.find(s => s.name === name);
+    if (!state) {
+        state = { name, schedule: null, registered_at: new Date().toISOString(), next_run_at: null, last_run_at: null, last_status: null, last_error: null };
+        states.push(state);
+    }
+    return state;
+}
+
+function pruneRuns(runs, name) {
+    const own = runs.filter(r => r.job === name);
+    const excess = new Set(own.slice(0, Math.max(0, own.length - MAX_RUNS_PER_JOB)));
+    if (excess.size) {
+        replaceRecords(runs, runs.filter(r => !excess.has(r)));
+    }
+}
+
+// Run every job that is due. A changed schedule moves the next run.
+async function tick(trigger = 'schedule') {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+        const now = new Date();
+        const due = await storage.update('jobs', states => {
+            const due = [];
+            definitions.forEach(job => {
+                const schedule = scheduleOf(job);
+                const known = states.some(s => s.name === job.name);
+                const state = stateFor(states, job.name);
+                if (!known) {
+                    state.schedule = schedule;
+                    state.next_run_at = nextRunAfter(schedule, now);
+                } else if (state.schedule !== schedule) {
+                    // A run already missed still happens unless the job was turned off
+                    const missed = state.next_run_at && new Date(state.next_run_at) <= now;
+                    state.schedule = schedule;
+                    if (!missed || !schedule) state.next_run_at = nextRunAfter(schedule, now);
+                }
+                if (state.next_run_at && new Date(state.next_run_at) <= now && !running.has(job.name)) {
+                    due.push(job.name);
+                }
+            });
+            return due;
+        });
+
+        for (const name of due) {
+            if (!running.has(name)) await runJob(name, trigger);
+        }
+    } catch (error) {
+        console.error('Job scheduler error:', error);
+    } finally {
+        ticking = false;
+    }
+}
+
+// Close off runs cut short by a restart, catch up missed runs and start
+// the scheduler
+async function startScheduler() {
+    await storage.update('job_runs', runs => {
+        runs.forEach(run => {
+            if (run.status === 'running') {
+                run.status = 'interrupted';
+                run.error = 'The server stopped during this run';
+            }
+        });
+    });
+
+    await tick('catch-up');
+    setInterval(tick, TICK_INTERVAL_MS);
+    return { jobs: [...definitions.values()].map(job => ({ name: job.name, schedule: scheduleOf(job) })) };
+}
+
+// Every job with its schedule, state and latest runs
+async function listJobs() {
+    const [states, runs] = await Promise.all([storage.read('jobs'), storage.read('job_runs')]);
+    return [...definitions.values()].map(job => {
+        const state = states.find(s => s.name === job.name) || {};
+        return {
+            name: job.name,
+            description: job.description,
+            setting: job.setting,
+            schedule: scheduleOf(job),
+            running: running.has(job.name),
+            next_run_at: state.next_run_at || null,
+            last_run_at: state.last_run_at || null,
+            last_status: state.last_status || null,
+            last_error: state.last_error || null,
+            recent_runs: runs.filter(r => r.job === job.name).slice(-5).reverse()
+        };
+    });
+}
+
+// Run history of one job, newest first
+async function listJobRuns(name, limit) {
+    findJob(name);
+    const max = Math.min(Math.max(parseInt(limit, 10) || MAX_RUNS_PER_JOB, 1), MAX_RUNS_PER_JOB);
+    return (await storage.read('job_runs')).filter(r => r.job === name).reverse().slice(0, max);
+}
+
+module.exports = {
+    defineJob,
+    runJob,
+    startScheduler,
+    listJobs,
+    listJobRuns
+};
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const { getSetting } = require('./settings');
+
+// Notification providers. Each provider has a name, the channel it
+// delivers on ('sms', 'whatsapp', 'email' or 'log') and an async
+// send({ to, message, subject }) that resolves with an optional provider
+// message id or throws on failure. Thrown errors are retried by the queue.
+//
+// NOTIFY_PROVIDER picks the active provider:
+//   log       append to NOTIFY_LOG_FILE (default notifications.log) and print
+//   sms       HTTP SMS gateway: SMS_GATEWAY_URL, SMS_GATEWAY_TOKEN, SMS_SENDER_ID
+//   whatsapp  WhatsApp Business Cloud API: WHATSAPP_PHONE_NUMBER_ID, WHATSAPP_TOKEN
+//   email     HTTP mail API: EMAIL_API_URL, EMAIL_API_TOKEN, EMAIL_FROM
+
+// Numbers are stored as typed (e.g. 077 123 4567); gateways want
+// international digits (94771234567), with the country code setting in
+// place of the leading 0 as in the browser's WhatsApp links
+function toInternationalPhone(raw) {
+    let digits = String(raw || '').replace(/\D/g, '');
+    if (digits.startsWith('0')) digits = getSetting('whatsapp.countryCode') + digits.slice(1);
+    return digits;
+}
+
+function requireEnv(names) {
+    const missing = names.filter(name => !process.env[name]);
+    if (missing.length) {
+        throw new Error(`Notification provider needs ${missing.join(', ')}`);
+    }
+}
+
+async function postJson(url, body, headers) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(15000)
+    });
+    const text = await response.text();
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${text.slice(0, 200)}`);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return {};
+    }
+}
+
+function createLogProvider() {
+    const file = process.env.NOTIFY_LOG_FILE || 'notifications.log';
+    return {
+        name: 'log',
+        channel: 'log',
+        recipient: order => order.customer_phone,
+        async send({ to, message, subject }) {
+            const line = JSON.stringify({ at: new Date().toISOString(), to, subject, message });
+            await fs.promises.appendFile(file, line + '\n');
+            console.log(`📨 [notification] to ${to}: ${message}`);
+            return null;
+        }
+    };
+}
+
+function createSmsProvider() {
+    requireEnv(['SMS_GATEWAY_URL']);
+    return {
+        name: 'sms',
+        channel: 'sms',
+        recipient: order => toInternationalPhone(order.customer_phone),
+        async send({ to, message }) {
+            const result = await postJson(process.env.SMS_GATEWAY_URL, {
+                to,
+                from: process.env.SMS_SENDER_ID || undefined,
+                message
+            }, process.env.SMS_GATEWAY_TOKEN ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` } : {});
+            return result.id || result.message_id || null;
+        }
+    };
+}
+
+function createWhatsAppProvider() {
+    requireEnv(['WHATSAPP_PHONE_NUMBER_ID', 'WHATSAPP_TOKEN']);
+    const url = `https://graph.facebook.com/v19.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
+    return {
+        name: 'whatsapp',
+        channel: 'whatsapp',
+        recipient: order => toInternationalPhone(order.customer_phone),
+        async send({ to, message }) {
+            const result = await postJson(url, {
+                messaging_product: 'whatsapp',
+                to,
+                type: 'text',
+                text: { body: message }
+            }, { Authorization: `Bearer ${process.env.WHATSAPP_TOKEN}` });
+            return (result.messages && result.messages[0] && result.messages[0].id) || null;
+        }
+    };
+}
+
+function createEmailProvider() {
+    requireEnv(['EMAIL_API_URL', 'EMAIL_FROM']);
+    return {
+        name: 'email',
+        channel: 'email',
+        recipient: order => order.customer_email,
+        async send({ to, message, subject }) {
+            const result = await postJson(process.env.EMAIL_API_URL, {
+                from: process.env.EMAIL_FROM,
+                to,
+                subject,
+                text: message
+            }, process.env.EMAIL_API_TOKEN ? { Authorization: `Bearer ${process.env.EMAIL_API_TOKEN}` } : {});
+            return result.id || null;
+        }
+    };
+}
+
+const PROVIDERS = {
+    log: createLogProvider,
+    sms: createSmsProvider,
+    whatsapp: createWhatsAppProvider,
+    email: createEmailProvider
+};
+
+function createProvider(name = process.env.NOTIFY_PROVIDER || 'log') {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown NOTIFY_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return factory();
+}
+
+module.exports = {
+    toInternationalPhone,
+    createProvider
+};
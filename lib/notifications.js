@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const { storage, replaceRecords } = require('./storage');
+const { ApiError } = require('./errors');
+const { createProvider } = require('./notificationProviders');
+const { trackingUrl, trackingToken } = require('./tracking');
+const { currentPickupCode } = require('./handover');
+
+// Customer notification queue.
+//
+// Order events (status changes, overdue pickup reminders from the overdue
+// rules) render a message template
+// and queue a job in the `notifications` collection. A worker sends due jobs
+// through the configured provider and retries failures with exponential
+// backoff. Jobs stay in the collection as the order's delivery log until
+// they are finished and older than NOTIFY_RETENTION_DAYS (default 90).
+//
+// Jobs are stored as
+//   { id, order_number, event, channel, provider, recipient, subject, message,
+//     status, attempts, next_attempt_at, last_error, provider_id,
+//     created_at, sent_at, created_by }
+// where status is pending, sending, sent, failed or skipped.
+
+const MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = 60 * 1000;
+const WORKER_INTERVAL_MS = 30 * 1000;
+const RETENTION_DAYS = Number(process.env.NOTIFY_RETENTION_DAYS) || 90;
+const FINISHED_STATUSES = ['sent', 'failed', 'skipped'];
+
+// Placeholders: {customer_name} {order_number} {status} {total}
+// {invoice_number} {store_name} {tracking_url} {pickup_code}
+const DEFAULT_TEMPLATES = {
+    ready: {
+        enabled: true,
+        subject: 'Your order {order_number} is ready',
+        body: 'Hi {customer_name}, your order {order_number} is ready for pickup at {store_name}. Total: Rs. {total}. Your pickup code is {pickup_code}. Thank you!'
+    },
+    overdue: {
+        enabled: true,
+        subject: 'Reminder: order {order_number} is waiting',
+        body: 'Hi {customer_name}, a reminder that your order {order_number} is still waiting for pickup at {store_name}. Your pickup code is {pickup_code}.'
+    },
+    approved: {
+        enabled: false,
+        subject: 'Order {order_number} confirmed',
+        body: 'Hi {customer_name}, your order {order_number} has been confirmed by {store_name}. We will let you know when it is ready.'
+    },
+    'on-hold': {
+        enabled: false,
+        subject: 'Order {order_number} on hold',
+        body: 'Hi {customer_name}, your order {order_number} is on hold. Please contact {store_name} for details.'
+    },
+    cancelled: {
+        enabled: false,
+        subject: 'Order {order_number} cancelled',
+        body: 'Hi {customer_name}, your order {order_number} has been cancelled. Please contact {store_name} if you have questions.'
+    },
+    rejected: {
+        enabled: false,
+        subject: 'Order {order_number} needs attention',
+        body: 'Hi {customer_name}, we could not approve your order {order_number} as placed. Please contact {store_name}.'
+    }
+};
+
+let provider = null;
+let workerRunning = false;
+let rerunRequested = false;
+
+function storeName() {
+    return process.env.STORE_NAME || 'Wickrama Hardware';
+}
+
+function renderTemplate(text, order, branch) {
+    const values = {
+        customer_name: order.customer_name,
+        order_number: order.order_number,
+        status: order.status,
+        total: Number(order.total || 0).toFixed(2),
+        invoice_number: order.invoice_number || '',
+        store_name: branch ? branch.name : storeName(),
+        tracking_url: trackingUrl(order.order_number, 'customer'),
+        pickup_code: currentPickupCode(order) || ''
+    };
+    return String(text).replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+// Stored template overrides merged over the defaults
+async function getTemplates() {
+    const stored = await storage.read('notification_templates');
+    return Object.keys(DEFAULT_TEMPLATES).map(event => ({
+        event,
+        ...DEFAULT_TEMPLATES[event],
+        ...(stored.find(t => t.event === event) || {})
+    }));
+}
+
+async function updateTemplate(event, raw, staffName) {
+    if (!DEFAULT_TEMPLATES[event]) {
+        throw new ApiError(`Unknown notification event "${event}"`, 404);
+    }
+
+    return storage.update('notification_templates', templates => {
+        let template = templates.find(t => t.event === event);
+        if (!template) {
+            template = { event, ...DEFAULT_TEMPLATES[event] };
+            templates.push(template);
+        }
+
+        if (raw.enabled !== undefined) template.enabled = raw.enabled === true;
+        if (raw.subject !== undefined) template.subject = String(raw.subject).trim();
+        if (raw.body !== undefined) {
+            const body = String(raw.body).trim();
+            if (!body) throw new ApiError('Message text cannot be empty');
+            if (body.length > 1000) throw new ApiError('Message text is too long (max 1000 characters)');
+            template.body = body;
+        }
+        template.updated_at = new Date().toISOString();
+        template.updated_by = staffName;
+        return template;
+    });
+}
+
+// Drop finished jobs older than the retention period
+function pruneJobs(notifications) {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const keep = notifications.filter(job => !FINISHED_STATUSES.includes(job.status) || new Date(job.created_at) > cutoff);
+    if (keep.length < notifications.length) {
+        replaceRecords(notifications, keep);
+    }
+}
+
+function newJob(order, event, template, staffName, branch) {
+    const recipient = provider.recipient(order);
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomBytes(8).toString('hex'),
+        order_number: order.order_number,
+        event,
+        channel: provider.channel,
+        provider: provider.name,
+        recipient: recipient || '',
+        subject: renderTemplate(template.subject || '', order, branch),
+        message: renderTemplate(template.body, order, branch),
+        status: recipient ? 'pending' : 'skipped',
+        attempts: 0,
+        next_attempt_at: now,
+        last_error: recipient ? null : `No ${provider.channel} recipient on the order`,
+        created_at: now,
+        created_by: staffName
+    };
+}
+
+// Queue the notification for an order event if its template is enabled.
+// Returns the job, or null when nothing was queued. Never throws: a
+// notification problem must not fail the order change that triggered it.
+async function notifyOrderEvent(order, event, staffName = 'SYSTEM') {
+    try {
+        if (!provider || !DEFAULT_TEMPLATES[event]) return null;
+
+        const template = (await getTemplates()).find(t => t.event === event);
+        if (!template.enabled) return null;
+
+        const branch = (await storage.read('branches')).find(b => b.code === order.branch);
+        const job = newJob(order, event, template, staffName, branch);
+        await storage.update('notifications', notifications => {
+            pruneJobs(notifications);
+            notifications.push(job);
+        });
+
+        setImmediate(processQueue);
+        return job;
+    } catch (error) {
+        console.error(`Error queueing ${event} notification for ${order.order_number}:`, error);
+        return null;
+    }
+}
+
+function retryDelay(attempts) {
+    return RETRY_BASE_MS * Math.pow(2, attempts - 1);
+}
+
+// Send due jobs. Jobs are claimed (marked sending) under the lock, sent
+// without holding it, then their outcome is written back. A call made
+// while a run is in progress makes that run go round again.
+async function processQueue() {
+    if (!provider) return;
+    if (workerRunning) {
+        rerunRequested = true;
+        return;
+    }
+    workerRunning = true;
+    rerunRequested = false;
+
+    try {
+        const now = new Date();
+        const due = await storage.update('notifications', notifications => {
+            const claimed = notifications.filter(job =>
+                job.status === 'pending' && new Date(job.next_attempt_at) <= now
+            );
+            claimed.forEach(job => {
+                job.status = 'sending';
+                job.attempts += 1;
+            });
+            return claimed.map(job => ({ ...job }));
+        });
+
+        for (const job of due) {
+            let outcome;
+            try {
+                const providerId = await provider.send({ to: job.recipient, message: job.message, subject: job.subject });
+                outcome = { status: 'sent', sent_at: new Date().toISOString(), provider_id: providerId || null, last_error: null };
+            } catch (error) {
+                const exhausted = job.attempts >= MAX_ATTEMPTS;
+                outcome = {
+                    status: exhausted ? 'failed' : 'pending',
+                    last_error: error.message,
+                    next_attempt_at: new Date(Date.now() + retryDelay(job.attempts)).toISOString()
+                };
+            }
+
+            await storage.update('notifications', notifications => {
+                const stored = notifications.find(n => n.id === job.id);
+                if (stored) Object.assign(stored, outcome);
+            });
+        }
+    } catch (error) {
+        console.error('Notification worker error:', error);
+    } finally {
+        workerRunning = false;
+        if (rerunRequested) setImmediate(processQueue);
+    }
+}
+
+// Create the provider (failing startup on bad configuration), recover jobs
+// interrupted mid-send and start the worker
+async function startNotificationWorker() {
+    provider = createProvider();
+
+    await storage.update('notifications', notifications => {
+        notifications.forEach(job => {
+            if (job.status === 'sending') job.status = 'pending';
+        });
+        pruneJobs(notifications);
+    });
+
+    setInterval(processQueue, WORKER_INTERVAL_MS);
+    setImmediate(processQueue);
+    return provider;
+}
+
+// Delivery log for an order. The live pickup code and the customer
+// tracking token are masked so staff cannot read them off a sent message.
+async function listOrderNotifications(order) {
+    const secrets = [currentPickupCode(order), trackingToken(order.order_number, 'customer')].filter(Boolean);
+    const mask = text => (text ? secrets.reduce((masked, secret) => masked.split(secret).join('******'), text) : text);
+    return (await storage.read('notifications'))
+        .filter(n => n.order_number === order.order_number)
+        .map(n => ({ ...n, subject: mask(n.subject), message: mask(n.message) }))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+// Put a failed job back in the queue
+async function retryNotification(id) {
+    const job = await storage.update('notifications', notifications => {
+        const job = notifications.find(n => n.id === id);
+        if (!job) {
+            throw new ApiError('Notification not found', 404);
+        }
+        if (job.status !== 'failed') {
+            throw new ApiError(`Only failed notifications can be retried (this one is ${job.status})`, 409);
+        }
+        job.status = 'pending';
+        job.attempts = 0;
+        job.next_attempt_at = new Date().toISOString();
+        return job;
+    });
+
+    setImmediate(processQueue);
+    return job;
+}
+
+module.exports = {
+    getTemplates,
+    updateTemplate,
+    notifyOrderEvent,
+    startNotificationWorker,
+    listOrderNotifications,
+    retryNotification
+};
@@ -0,0 +1,181 @@
+const { toCsv } = require('./csv');
+const { ApiError } = require('./errors');
+const { PAYMENT_METHODS, buildOrderItems } = require('./orderItems');
+const { requiredApprovals } = require('./approvalPolicy');
+const { parseDateRange, inRange } = require('./dateRange');
+const { STATUSES } = require('./orderStatus');
+const { amountPaid, balanceDue } = require('./payments');
+
+// Orders as CSV, for spreadsheets and for importing orders kept elsewhere
+// (e.g. legacy paper orders).
+//
+// Export writes one row per line item, repeating the order columns on each
+// row. Import reads the same columns and groups rows by order_number (the
+// number on the paper order or in the other system). Required columns:
+// order_number, customer_name, customer_phone, item_name and item_qty.
+// Optional: created_at (a date, default today), status (received,
+// completed or cancelled; default received), payment_method (default
+// cash), customer_email, invoice_number, discount, item_sku, item_unit and
+// item_unit_price; amount_paid and balance_due are ignored, so payments
+// are not imported. Imported orders are numbered by this system and keep
+// the original number as imported_reference. Orders whose number is
+// already known, as an order number or an imported reference, are
+// skipped, so a file can safely be imported again.
+
+const COLUMNS = [
+    'order_number', 'branch', 'created_at', 'created_by', 'status',
+    'customer_name', 'customer_phone', 'customer_email', 'payment_method', 'invoice_number',
+    'subtotal', 'discount', 'total', 'amount_paid', 'balance_due',
+    'item_name', 'item_sku', 'item_qty', 'item_unit', 'item_unit_price', 'item_line_total'
+];
+const REQUIRED_COLUMNS = ['order_number', 'customer_name', 'customer_phone', 'item_name', 'item_qty'];
+const IMPORT_STATUSES = ['received', 'completed', 'cancelled'];
+
+// Orders to export: from/to (created date, see lib/dateRange.js) and
+// status (one or a comma list), oldest first
+function selectOrders(orders, query) {
+    const range = parseDateRange(query);
+    const statuses = String(query.status || '').split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = statuses.filter(status => !STATUSES.includes(status));
+    if (unknown.length) {
+        throw new ApiError(`Unknown status "${unknown[0]}". Valid statuses: ${STATUSES.join(', ')}`);
+    }
+
+    return orders
+        .filter(order => {
+            if (statuses.length && !statuses.includes(order.status)) return false;
+            return inRange(order.created_at, range);
+        })
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+function ordersToCsv(orders) {
+    const rows = [];
+    orders.forEach(order => {
+        const orderColumns = [
+            order.order_number, order.branch, order.created_at, order.created_by, order.status,
+            order.customer_name, order.customer_phone, order.customer_email || '', order.payment_method, order.invoice_number || '',
+            order.subtotal, order.discount, order.total, amountPaid(order), balanceDue(order) === null ? '' : balanceDue(order)
+        ];
+        // Orders from before line items hold the items as text
+        const items = Array.isArray(order.items) ? order.items : [{ name: order.items || '' }];
+        items.forEach(item => {
+            rows.push([...orderColumns, item.name, item.sku || '', item.qty, item.unit || '', item.unit_price, item.line_total]);
+        });
+    });
+    return toCsv(COLUMNS, rows);
+}
+
+function parseCreatedAt(value) {
+    if (!value) return new Date().toISOString();
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ApiError(`created_at "${value}" is not a date`);
+    }
+    if (date > new Date()) {
+        throw new ApiError('created_at cannot be in the future');
+    }
+    return date.toISOString();
+}
+
+// One imported order from its rows, numbered later by the caller
+function buildImportedOrder(reference, rows, { branch, staffName }) {
+    const first = rows[0].record;
+    const customerName = first.customer_name;
+    const customerPhone = first.customer_phone;
+    if (!customerName || !customerPhone) {
+        throw new ApiError('customer_name and customer_phone are required');
+    }
+    const customerEmail = first.customer_email || '';
+    if (customerEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(customerEmail)) {
+        throw new ApiError('customer_email is not valid');
+    }
+
+    const status = first.status || 'received';
+    if (!IMPORT_STATUSES.includes(status)) {
+        throw new ApiError(`status must be one of: ${IMPORT_STATUSES.join(', ')}`);
+    }
+    const paymentMethod = first.payment_method || 'cash';
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+        throw new ApiError(`payment_method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+    }
+
+    const createdAt = parseCreatedAt(first.created_at);
+    const { items, subtotal, discount, total } = buildOrderItems(rows.map(({ record }) => ({
+        name: record.item_name,
+        sku: record.item_sku,
+        qty: record.item_qty,
+        unit: record.item_unit,
+        unitPrice: record.item_unit_price
+    })), first.discount);
+
+    return {
+        branch,
+        customer_name: customerName,
+        customer_phone: customerPhone,
+        customer_email: customerEmail,
+        items,
+        subtotal,
+        discount,
+        total,
+        payment_method: paymentMethod,
+        invoice_number: first.invoice_number || '',
+        status,
+        created_at: createdAt,
+        created_by: staffName,
+        approvals: [],
+        approvals_required: requiredApprovals({ total, payment_method: paymentMethod }),
+        status_history: [{
+            status,
+            timestamp: createdAt,
+            staff: staffName,
+            reason: `Imported from CSV as ${reference}`
+        }],
+        imported_reference: reference,
+        imported_at: new Date().toISOString()
+    };
+}
+
+// Check imported records and build the orders to create. `known` holds
+// order numbers and imported references already in the system. Returns
+// { orders, skipped, errors }; an order with any bad row is rejected whole.
+function parseOrderImport(records, { known, branch, staffName }) {
+    if (records.length > 0) {
+        const missing = REQUIRED_COLUMNS.filter(column => !(column in records[0]));
+        if (missing.length) {
+            throw new ApiError(`CSV is missing the column(s): ${missing.join(', ')}`);
+        }
+    }
+
+    const groups = new Map();
+    records.forEach((record, index) => {
+        const reference = record.order_number;
+        if (!groups.has(reference)) groups.set(reference, []);
+        groups.get(reference).push({ record, line: index + 2 }); // header is line 1
+    });
+
+    const result = { orders: [], skipped: [], errors: [] };
+    groups.forEach((rows, reference) => {
+        if (!reference) {
+            result.errors.push(`Line ${rows[0].line}: order_number is required`);
+            return;
+        }
+        if (known.has(reference)) {
+            result.skipped.push(reference);
+            return;
+        }
+        try {
+            result.orders.push(buildImportedOrder(reference, rows, { branch, staffName }));
+        } catch (error) {
+            if (!(error instanceof ApiError)) throw error;
+            result.errors.push(`Order ${reference} (line ${rows[0].line}): ${error.message}`);
+        }
+    });
+    return result;
+}
+
+module.exports = {
+    selectOrders,
+    ordersToCsv,
+    parseOrderImport
+};
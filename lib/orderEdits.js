@@ -0,0 +1,140 @@
+const { ApiError } = require('./errors');
+const { hasRole } = require('./auth');
+const { PAYMENT_METHODS, buildOrderItems, computeTotals } = require('./orderItems');
+const { requiredApprovals } = require('./approvalPolicy');
+const { replaceOrderItems } = require('./catalog');
+const { amountPaid } = require('./payments');
+
+// Order corrections.
+//
+// Until an order is completed, staff can correct its customer details,
+// items, discount and payment method. Every edit that changes something is
+// kept on the order in `revisions` as
+//   { timestamp, staff, reason, changes: [{ field, from, to }] }
+// with the stored value of each changed field before and after; items are
+// kept as whole lists, and a changed total is listed with them. Items,
+// discount and payment method decide what gets approved, so once an order
+// is past `received` only a supervisor may change them. The total cannot
+// be lowered below what the customer has paid; the difference is refunded
+// first.
+
+// Request body field -> stored field
+const FIELDS = {
+    customerName: 'customer_name',
+    customerPhone: 'customer_phone',
+    customerEmail: 'customer_email',
+    items: 'items',
+    discount: 'discount',
+    paymentMethod: 'payment_method'
+};
+const PRICING_FIELDS = ['items', 'discount', 'paymentMethod'];
+const LOCKED_STATUSES = ['completed'];
+
+function requiredText(value, label) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (!text) {
+        throw new ApiError(`${label} cannot be empty`);
+    }
+    return text;
+}
+
+// The new stored values for the fields in `body`, validated
+function editedValues(order, body) {
+    const values = {};
+    if (body.customerName !== undefined) values.customer_name = requiredText(body.customerName, 'Customer name');
+    if (body.customerPhone !== undefined) values.customer_phone = requiredText(body.customerPhone, 'Customer phone');
+    if (body.customerEmail !== undefined) {
+        values.customer_email = String(body.customerEmail || '').trim();
+        if (values.customer_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.customer_email)) {
+            throw new ApiError('Customer email address is not valid');
+        }
+    }
+    if (body.paymentMethod !== undefined) {
+        if (!PAYMENT_METHODS.includes(body.paymentMethod)) {
+            throw new ApiError(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+        }
+        values.payment_method = body.paymentMethod;
+    }
+
+    if (body.items !== undefined || body.discount !== undefined) {
+        const discount = body.discount !== undefined ? body.discount : order.discount;
+        const totals = body.items !== undefined
+            ? buildOrderItems(body.items, discount)
+            : computeTotals(order.items, discount);
+        if (body.items !== undefined) values.items = totals.items;
+        values.discount = totals.discount;
+        values.subtotal = totals.subtotal;
+        values.total = totals.total;
+
+        const paid = amountPaid(order);
+        if (values.total < paid) {
+            throw new ApiError(`The new total (Rs. ${values.total.toFixed(2)}) is less than the Rs. ${paid.toFixed(2)} already paid. Refund the difference first`, 409);
+        }
+    }
+    return values;
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Apply an edit to `order` and record it. Returns the revision, or null
+// when nothing changed. Throws an ApiError for invalid or refused edits.
+function editOrder(order, body, { user, products, reason }) {
+    const unknown = Object.keys(body).filter(key => !FIELDS[key]);
+    if (unknown.length) {
+        throw new ApiError(`Cannot edit "${unknown[0]}". Editable fields: ${Object.keys(FIELDS).join(', ')}`);
+    }
+    if (LOCKED_STATUSES.includes(order.status)) {
+        throw new ApiError(`A ${order.status} order cannot be edited`, 409);
+    }
+
+    const values = editedValues(order, body);
+    const changes = Object.entries(values)
+        .filter(([field, value]) => !sameValue(order[field], value))
+        .map(([field, value]) => ({ field, from: order[field], to: value }));
+    // The subtotal follows from the items and discount, so it is not listed
+    const listed = changes.filter(change => change.field !== 'subtotal');
+    if (listed.length === 0) {
+        return null;
+    }
+
+    const pricing = PRICING_FIELDS.some(key => listed.some(change => change.field === FIELDS[key]));
+    if (pricing && order.status !== 'received' && !hasRole(user, 'supervisor')) {
+        throw new ApiError(`Only a supervisor can change the items, discount or payment method once an order is ${order.status}`, 403);
+    }
+
+    changes.forEach(({ field, to }) => {
+        if (field === 'items') {
+            replaceOrderItems(products, order, to);
+        } else {
+            order[field] = to;
+        }
+    });
+    if (pricing) {
+        order.approvals_required = requiredApprovals(order);
+    }
+
+    const revision = {
+        timestamp: new Date().toISOString(),
+        staff: user.username,
+        reason: String(reason || '').trim(),
+        changes: listed
+    };
+    if (!order.revisions) order.revisions = [];
+    order.revisions.push(revision);
+    return revision;
+}
+
+// One line per change for the audit log
+function describeChange({ field, from, to }) {
+    if (field === 'items') {
+        return `items: ${from.length} line(s) -> ${to.length} line(s) (${to.map(item => `${item.qty} ${item.unit} ${item.name}`).join(', ')})`;
+    }
+    return `${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`;
+}
+
+module.exports = {
+    editOrder,
+    describeChange
+};
@@ -0,0 +1,131 @@
+const { ApiError } = require('./errors');
+
+// Line items are stored as
+//   { name, sku, qty, unit, unit_price, line_total }
+// and each order carries subtotal, discount and total computed from them.
+
+const MAX_ITEMS = 100;
+// Upper bounds keep amounts exact to the cent (far below 2^53 cents)
+const MAX_QTY = 1000000;
+const MAX_UNIT_PRICE = 100000000;
+const MAX_SUBTOTAL = 10000000000;
+
+// Accepted payment methods
+const PAYMENT_METHODS = ['cash', 'prepaid'];
+
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function toNumber(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    return Number(value);
+}
+
+// Validate one line item from a request body (camelCase or stored snake_case)
+function normalizeItem(raw, index) {
+    const position = `Item ${index + 1}`;
+    if (!raw || typeof raw !== 'object') {
+        throw new ApiError(`${position}: invalid item`);
+    }
+
+    const name = String(raw.name || '').trim();
+    if (!name) {
+        throw new ApiError(`${position}: name is required`);
+    }
+    if (name.length > 200) {
+        throw new ApiError(`${position}: name is too long`);
+    }
+
+    const qty = toNumber(raw.qty, NaN);
+    if (!Number.isFinite(qty) || qty <= 0) {
+        throw new ApiError(`${position} (${name}): quantity must be greater than zero`);
+    }
+    if (qty > MAX_QTY) {
+        throw new ApiError(`${position} (${name}): quantity cannot be more than ${MAX_QTY}`);
+    }
+
+    const unitPrice = toNumber(raw.unitPrice !== undefined ? raw.unitPrice : raw.unit_price, 0);
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+        throw new ApiError(`${position} (${name}): unit price cannot be negative`);
+    }
+    if (unitPrice > MAX_UNIT_PRICE) {
+        throw new ApiError(`${position} (${name}): unit price cannot be more than ${MAX_UNIT_PRICE}`);
+    }
+
+    return {
+        name,
+        sku: String(raw.sku || '').trim(),
+        qty: Math.round(qty * 1000) / 1000,
+        unit: String(raw.unit || 'pcs').trim() || 'pcs',
+        unit_price: roundMoney(unitPrice),
+        line_total: roundMoney(qty * unitPrice)
+    };
+}
+
+// Validate the items list and discount, returning the stored item array and totals
+function buildOrderItems(rawItems, rawDiscount) {
+    if (!Array.isArray(rawItems) || rawItems.length === 0) {
+        throw new ApiError('At least one item is required');
+    }
+    if (rawItems.length > MAX_ITEMS) {
+        throw new ApiError(`An order can have at most ${MAX_ITEMS} items`);
+    }
+
+    const items = rawItems.map(normalizeItem);
+    const totals = computeTotals(items, rawDiscount);
+
+    return { items, ...totals };
+}
+
+function computeTotals(items, rawDiscount) {
+    const subtotal = roundMoney(items.reduce((sum, item) => sum + item.line_total, 0));
+    if (!Number.isFinite(subtotal) || subtotal > MAX_SUBTOTAL) {
+        throw new ApiError(`The subtotal cannot be more than ${MAX_SUBTOTAL}`);
+    }
+
+    const discount = roundMoney(toNumber(rawDiscount, 0));
+    if (!Number.isFinite(discount) || discount < 0) {
+        throw new ApiError('Discount cannot be negative');
+    }
+    if (discount > subtotal) {
+        throw new ApiError('Discount cannot be more than the subtotal');
+    }
+
+    return { subtotal, discount, total: roundMoney(subtotal - discount) };
+}
+
+// Parse the legacy "2x hammer, 1x nails" string format. Prices were never
+// recorded, so migrated items have a unit price of zero.
+function parseLegacyItems(text) {
+    return String(text || '')
+        .split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const match = part.match(/^(\d+(?:\.\d+)?)\s*x\s+(.+)$/i);
+            const qty = match ? Number(match[1]) : 1;
+            const name = match ? match[2].trim() : part;
+            return { name, sku: '', qty, unit: 'pcs', unit_price: 0, line_total: 0 };
+        });
+}
+
+// Convert an order still holding the legacy string format. Returns true if changed.
+function migrateLegacyOrderItems(order) {
+    if (Array.isArray(order.items)) return false;
+
+    order.items = parseLegacyItems(order.items);
+    order.subtotal = 0;
+    order.discount = 0;
+    order.total = 0;
+    return true;
+}
+
+module.exports = {
+    PAYMENT_METHODS,
+    roundMoney,
+    buildOrderItems,
+    computeTotals,
+    parseLegacyItems,
+    migrateLegacyOrderItems
+};
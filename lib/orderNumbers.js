@@ -0,0 +1,87 @@
+// Order number generation backed by a persisted counter.
+//
+// The format is a template with {PREFIX}, {YYYY}, {MM}, {DD} and {SEQ}
+// placeholders, e.g. the default "{PREFIX}-{YYYY}{MM}{DD}-{SEQ}" gives
+// WRH-20250806-001. With ORDER_NUMBER_RESET=daily the sequence restarts
+// each day; with "never" it keeps counting.
+//
+// Each branch numbers its orders with its own prefix and counter;
+// ORDER_NUMBER_PREFIX is the prefix of the first branch.
+
+const LEGACY_COUNTER_NAME = 'order_number';
+
+function counterName(branchCode) {
+    return `${LEGACY_COUNTER_NAME}:${branchCode}`;
+}
+
+function getNumberingConfig() {
+    return {
+        prefix: process.env.ORDER_NUMBER_PREFIX || 'WRH',
+        format: process.env.ORDER_NUMBER_FORMAT || '{PREFIX}-{YYYY}{MM}{DD}-{SEQ}',
+        padding: Number(process.env.ORDER_NUMBER_PADDING) || 3,
+        reset: process.env.ORDER_NUMBER_RESET === 'never' ? 'never' : 'daily'
+    };
+}
+
+// Date parts in the server's local time, which is the store's business day
+function dateParts(date) {
+    return {
+        YYYY: String(date.getFullYear()),
+        MM: String(date.getMonth() + 1).padStart(2, '0'),
+        DD: String(date.getDate()).padStart(2, '0')
+    };
+}
+
+function formatOrderNumber(config, date, sequence) {
+    const parts = {
+        ...dateParts(date),
+        PREFIX: config.prefix,
+        SEQ: String(sequence).padStart(config.padding, '0')
+    };
+    return config.format.replace(/\{(PREFIX|YYYY|MM|DD|SEQ)\}/g, (match, key) => parts[key]);
+}
+
+function periodKey(config, date) {
+    if (config.reset === 'never') return 'all';
+    const { YYYY, MM, DD } = dateParts(date);
+    return `${YYYY}${MM}${DD}`;
+}
+
+// Take the next number from the branch's counter, skipping any number
+// already in takenNumbers. Must be called inside a storage update holding
+// the counters collection.
+function nextOrderNumber(counters, takenNumbers, branch, date = new Date()) {
+    const config = { ...getNumberingConfig(), prefix: branch.order_prefix };
+    if (!config.format.includes('{SEQ}')) {
+        throw new Error('ORDER_NUMBER_FORMAT must contain {SEQ}');
+    }
+    const period = periodKey(config, date);
+    const name = counterName(branch.code);
+
+    let counter = counters.find(c => c.name === name);
+    if (!counter) {
+        counter = { name, branch: branch.code, period, value: 0 };
+        counters.push(counter);
+    }
+    if (counter.period !== period) {
+        counter.period = period;
+        counter.value = 0;
+    }
+
+    let orderNumber;
+    do {
+        counter.value += 1;
+        orderNumber = formatOrderNumber(config, date, counter.value);
+    } while (takenNumbers.has(orderNumber));
+
+    counter.updated_at = date.toISOString();
+    return orderNumber;
+}
+
+module.exports = {
+    LEGACY_COUNTER_NAME,
+    counterName,
+    getNumberingConfig,
+    formatOrderNumber,
+    nextOrderNumber
+};
@@ -0,0 +1,175 @@
+const { storage } = require('./storage');
+const { ApiError } = require('./errors');
+const { parseDateRange, inRange } = require('./dateRange');
+const { STATUSES } = require('./orderStatus');
+const { currentApprovals } = require('./approvalPolicy');
+const { isOverdue } = require('./overdue');
+
+// Order listing and search.
+//
+// Text search goes through a trigram index over order number, customer
+// name, phone and invoice number. The index is built from a snapshot of
+// the orders collection and rebuilt only after the collection is written
+// (storage.version), so most requests neither re-read nor re-scan every
+// order.
+//
+// Filters: q, branch, status (one or a comma list), from/to (created date),
+// createdBy, paymentMethod, hasInvoice (true/false), minApprovals,
+// maxApprovals, overdue (true/false: ready and past due_by). Sorting:
+// sort=created_at|status|customer|order_number|total|due_by with
+// dir=asc|desc; orders without a due date count as due last. Paging:
+// page (from 1) and limit (max 100).
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+const SORTS = {
+    created_at: (a, b) => a.created_at.localeCompare(b.created_at),
+    status: (a, b) => STATUSES.indexOf(a.status) - STATUSES.indexOf(b.status),
+    customer: (a, b) => a.customer_name.localeCompare(b.customer_name, undefined, { sensitivity: 'base' }),
+    order_number: (a, b) => a.order_number.localeCompare(b.order_number),
+    total: (a, b) => Number(a.total || 0) - Number(b.total || 0),
+    due_by: (a, b) => (a.due_by || '9999').localeCompare(b.due_by || '9999')
+};
+
+let cache = null;
+
+function searchText(order) {
+    const phone = String(order.customer_phone || '');
+    return [order.order_number, order.customer_name, phone, phone.replace(/\D/g, ''), order.invoice_number]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+}
+
+function trigrams(text) {
+    const grams = new Set();
+    for (let i = 0; i + 3 <= text.length; i++) {
+        grams.add(text.slice(i, i + 3));
+    }
+    return grams;
+}
+
+function buildIndex(orders) {
+    const texts = orders.map(searchText);
+    const grams = new Map();
+    texts.forEach((text, position) => {
+        trigrams(text).forEach(gram => {
+            if (!grams.has(gram)) grams.set(gram, []);
+            grams.get(gram).push(position);
+        });
+    });
+    return { texts, grams };
+}
+
+// Orders snapshot and its index, rebuilt after the collection changes
+async function orderIndex() {
+    const version = storage.version('orders');
+    if (!cache || cache.version !== version) {
+        const orders = await storage.read('orders');
+        cache = { version, orders, ...buildIndex(orders) };
+    }
+    return cache;
+}
+
+// Positions of orders whose search text contains `query`. Queries of three
+// or more characters are narrowed through the rarest of their trigrams.
+function textMatches(index, query) {
+    const needle = query.toLowerCase();
+    let candidates = null;
+
+    if (needle.length >= 3) {
+        let smallest = null;
+        for (const gram of trigrams(needle)) {
+            const positions = index.grams.get(gram);
+            if (!positions) return [];
+            if (!smallest || positions.length < smallest.length) smallest = positions;
+        }
+        candidates = smallest;
+    }
+
+    const positions = candidates || index.texts.map((text, position) => position);
+    return positions.filter(position => index.texts[position].includes(needle));
+}
+
+function parseBoolean(value, name) {
+    if (value === undefined || value === '' || value === 'all') return null;
+    if (value === 'true' || value === '1' || value === 'yes') return true;
+    if (value === 'false' || value === '0' || value === 'no') return false;
+    throw new ApiError(`${name} must be true or false`);
+}
+
+function parseCount(value, name) {
+    if (value === undefined || value === '') return null;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+        throw new ApiError(`${name} must be a whole number`);
+    }
+    return count;
+}
+
+async function queryOrders(query = {}) {
+    const statuses = String(query.status || '').split(',').map(s => s.trim()).filter(s => s && s !== 'all');
+    const unknown = statuses.filter(status => !STATUSES.includes(status));
+    if (unknown.length) {
+        throw new ApiError(`Unknown status "${unknown[0]}". Valid statuses: ${STATUSES.join(', ')}`);
+    }
+
+    const sortKey = query.sort || 'created_at';
+    if (!SORTS[sortKey]) {
+        throw new ApiError(`Cannot sort by "${sortKey}". Sort by: ${Object.keys(SORTS).join(', ')}`);
+    }
+    const descending = (query.dir || (sortKey === 'created_at' ? 'desc' : 'asc')) === 'desc';
+
+    const range = parseDateRange(query);
+    const branch = String(query.branch || '').trim().toUpperCase();
+    const createdBy = String(query.createdBy || '').trim().toLowerCase();
+    const paymentMethod = String(query.paymentMethod || '').trim();
+    const hasInvoice = parseBoolean(query.hasInvoice, 'hasInvoice');
+    const minApprovals = parseCount(query.minApprovals, 'minApprovals');
+    const maxApprovals = parseCount(query.maxApprovals, 'maxApprovals');
+    const overdue = parseBoolean(query.overdue, 'overdue');
+    const now = Date.now();
+    const text = String(query.q || '').trim();
+
+    const index = await orderIndex();
+    let orders = text ? textMatches(index, text).map(position => index.orders[position]) : index.orders;
+
+    orders = orders.filter(order => {
+        if (branch && order.branch !== branch) return false;
+        if (statuses.length && !statuses.includes(order.status)) return false;
+        if ((range.from || range.to) && !inRange(order.created_at, range)) return false;
+        if (createdBy && String(order.created_by || '').toLowerCase() !== createdBy) return false;
+        if (paymentMethod && paymentMethod !== 'all' && order.payment_method !== paymentMethod) return false;
+        if (hasInvoice !== null && Boolean(order.invoice_number) !== hasInvoice) return false;
+        if (overdue !== null && isOverdue(order, now) !== overdue) return false;
+        if (minApprovals !== null || maxApprovals !== null) {
+            const approvals = currentApprovals(order).length;
+            if (minApprovals !== null && approvals < minApprovals) return false;
+            if (maxApprovals !== null && approvals > maxApprovals) return false;
+        }
+        return true;
+    });
+
+    // Ties fall back to newest first so pages stay stable
+    const compare = SORTS[sortKey];
+    orders = orders.slice().sort((a, b) =>
+        (descending ? compare(b, a) : compare(a, b)) || b.created_at.localeCompare(a.created_at)
+    );
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const pages = Math.max(1, Math.ceil(orders.length / limit));
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+    return {
+        orders: orders.slice((page - 1) * limit, page * limit),
+        total: orders.length,
+        page,
+        pages,
+        limit
+    };
+}
+
+module.exports = {
+    queryOrders
+};
@@ -0,0 +1,144 @@
+const { ApiError } = require('./errors');
+const { requiredApprovals, currentApprovals } = require('./approvalPolicy');
+const { issuePickupCode, retirePickupCode } = require('./handover');
+const { markReady, leaveReady } = require('./overdue');
+
+// Order lifecycle. Orders move forward one step at a time through
+// LIFECYCLE; any open order can be put on hold or cancelled, and received
+// orders can be rejected by an approver. Moving back a step, holding,
+// cancelling, rejecting and reopening all need a reason, which is kept in
+// the status history. Ready orders carry a pickup code and a due date (see
+// overdue.js), and only a verified handover (see handover.js) completes an
+// order.
+
+const LIFECYCLE = ['received', 'approved', 'packed', 'ready', 'completed'];
+const STATUSES = [...LIFECYCLE, 'on-hold', 'cancelled', 'rejected'];
+
+// Steps a barcode scan can make; approval and handover stay deliberate actions
+const SCAN_STEPS = { approved: 'packed', packed: 'ready' };
+
+// Statuses reachable from `order`, whether or not preconditions are met
+function allowedTransitions(order) {
+    if (order.status === 'on-hold') {
+        return [order.held_from || 'received', 'cancelled'];
+    }
+    if (order.status === 'cancelled') {
+        return ['received'];
+    }
+    if (order.status === 'rejected') {
+        return ['received', 'cancelled'];
+    }
+
+    const index = LIFECYCLE.indexOf(order.status);
+    if (index === -1 || order.status === 'completed') return [];
+
+    const targets = [LIFECYCLE[index + 1]];
+    if (index > 0) targets.push(LIFECYCLE[index - 1]);
+    if (order.status === 'received') targets.push('rejected');
+    return [...targets, 'on-hold', 'cancelled'];
+}
+
+function isBackwardMove(from, to) {
+    if (from === 'cancelled' || from === 'rejected') return true;
+    const fromIndex = LIFECYCLE.indexOf(from);
+    const toIndex = LIFECYCLE.indexOf(to);
+    return fromIndex !== -1 && toIndex !== -1 && toIndex < fromIndex;
+}
+
+function needsReason(from, to) {
+    return ['on-hold', 'cancelled', 'rejected'].includes(to) || isBackwardMove(from, to);
+}
+
+// Conditions an order must meet before entering a status
+function checkPreconditions(order, status, via) {
+    if (status === 'approved') {
+        const required = requiredApprovals(order);
+        const given = currentApprovals(order).length;
+        if (given < required) {
+            throw new ApiError(`Order needs ${required} approvals before it can be approved (has ${given})`, 409);
+        }
+    }
+    if (status === 'ready' && !order.invoice_number) {
+        throw new ApiError('Set the invoice number before marking the order ready', 409);
+    }
+    if (status === 'completed' && !order.invoice_number) {
+        throw new ApiError('Set the invoice number before completing the order', 409);
+    }
+    if (status === 'completed' && via !== 'handover') {
+        throw new ApiError('Hand the order over with the pickup code or a supervisor ID check to complete it', 409);
+    }
+}
+
+// Status a scan moves the order to, or an error saying why it cannot move
+function nextScanStatus(order) {
+    const next = SCAN_STEPS[order.status];
+    if (next) return next;
+
+    const messages = {
+        received: 'Order is waiting for approval and cannot be scanned yet',
+        ready: 'Order is ready: hand it over with the pickup code',
+        completed: 'Order has already been handed over',
+        'on-hold': 'Order is on hold',
+        cancelled: 'Order has been cancelled',
+        rejected: 'Order was rejected'
+    };
+    throw new ApiError(messages[order.status] || `Orders in ${order.status} cannot be scanned`, 409);
+}
+
+// Validate and apply a status change, recording it in the status history.
+// `via` notes how the change was made (e.g. 'scan', 'handover'). Must be
+// called inside a storage update holding the order.
+function transitionOrder(order, status, { staff, reason, via } = {}) {
+    if (!STATUSES.includes(status)) {
+        throw new ApiError(`Unknown status "${status}". Valid statuses: ${STATUSES.join(', ')}`);
+    }
+    if (order.status === status) {
+        throw new ApiError(`Order is already ${status}`, 409);
+    }
+
+    const allowed = allowedTransitions(order);
+    if (!allowed.includes(status)) {
+        const options = allowed.length ? `Allowed next: ${allowed.join(', ')}` : 'No further changes are allowed';
+        throw new ApiError(`Cannot move order from ${order.status} to ${status}. ${options}`, 409);
+    }
+
+    const trimmedReason = String(reason || '').trim();
+    if (needsReason(order.status, status) && !trimmedReason) {
+        throw new ApiError(`A reason is required to move an order from ${order.status} to ${status}`);
+    }
+
+    checkPreconditions(order, status, via);
+
+    if (status === 'on-hold') {
+        order.held_from = order.status;
+    } else {
+        delete order.held_from;
+    }
+
+    const entry = {
+        status,
+        timestamp: new Date().toISOString(),
+        staff
+    };
+    if (trimmedReason) entry.reason = trimmedReason;
+    if (via) entry.via = via;
+
+    if (status === 'ready') {
+        issuePickupCode(order);
+        markReady(order, entry.timestamp);
+    } else if (order.status === 'ready') {
+        retirePickupCode(order);
+        leaveReady(order, status);
+    }
+
+    order.status = status;
+    order.status_history.push(entry);
+}
+
+module.exports = {
+    LIFECYCLE,
+    STATUSES,
+    allowedTransitions,
+    nextScanStatus,
+    transitionOrder
+};
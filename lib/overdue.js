@@ -0,0 +1,101 @@
+const { storage } = require('./storage');
+const { getSetting } = require('./settings');
+const { slotEndsAt } = require('./pickupSlots');
+const { issuePickupCode } = require('./handover');
+
+// Due dates and overdue pickups.
+//
+// An order entering ready gets ready_at and due_by: the end of its booked
+// pickup slot, or "Days before a pickup is overdue" after it became ready
+// when it has no slot or the slot ended first. A ready order past due_by is
+// overdue. The scheduler runs the overdue rules every hour:
+//   - after "Send pickup reminder after (days)" in ready the customer gets
+//     one reminder (overdue_reminded_at);
+//   - after "Flag for restocking after (days)" in ready the order is flagged
+//     (restock_flagged_at) so staff put its items back on the shelf.
+// A rule set to 0 days is off.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function computeDueBy(order) {
+    const readyAt = new Date(order.ready_at);
+    if (order.pickup_slot) {
+        const slotEnd = slotEndsAt(order.pickup_slot);
+        if (slotEnd > readyAt) return slotEnd.toISOString();
+    }
+    return new Date(readyAt.getTime() + getSetting('pickup.holdDays') * DAY_MS).toISOString();
+}
+
+function markReady(order, timestamp) {
+    order.ready_at = timestamp;
+    order.due_by = computeDueBy(order);
+    delete order.overdue_reminded_at;
+    delete order.restock_flagged_at;
+}
+
+// Moving on from ready: a completed order keeps when it was ready and due,
+// anything else goes back to having no due date
+function leaveReady(order, status) {
+    delete order.overdue_reminded_at;
+    delete order.restock_flagged_at;
+    if (status !== 'completed') {
+        delete order.ready_at;
+        delete order.due_by;
+    }
+}
+
+// Recalculate due_by after the pickup slot of a ready order changes
+function refreshDueBy(order) {
+    if (order.status === 'ready' && order.ready_at) {
+        order.due_by = computeDueBy(order);
+    }
+}
+
+function isOverdue(order, now = Date.now()) {
+    return order.status === 'ready' && Boolean(order.due_by) && new Date(order.due_by).getTime() < now;
+}
+
+// Apply the reminder and restocking rules. Ready orders from before due
+// dates existed get them from their status history, keeping any reminder
+// already sent, and a pickup code if they have none. Returns the orders
+// that need a reminder and those newly flagged for restocking.
+async function runOverdueRules(now = new Date()) {
+    const reminderDays = getSetting('overdue.reminderDays');
+    const restockDays = getSetting('overdue.restockDays');
+
+    return storage.update(['orders', 'notifications'], (orders, notifications) => {
+        const result = { remind: [], restock: [] };
+
+        orders.filter(order => order.status === 'ready').forEach(order => {
+            if (!order.ready_at) {
+                const entries = (order.status_history || []).filter(h => h.status === 'ready');
+                markReady(order, entries.length ? entries[entries.length - 1].timestamp : now.toISOString());
+                const reminder = notifications.find(n =>
+                    n.order_number === order.order_number && n.event === 'overdue' && n.created_at >= order.ready_at
+                );
+                if (reminder) order.overdue_reminded_at = reminder.created_at;
+                if (!order.pickup_code_id) issuePickupCode(order);
+            }
+
+            const daysReady = (now - new Date(order.ready_at)) / DAY_MS;
+            if (reminderDays && daysReady >= reminderDays && !order.overdue_reminded_at) {
+                order.overdue_reminded_at = now.toISOString();
+                result.remind.push(order);
+            }
+            if (restockDays && daysReady >= restockDays && !order.restock_flagged_at) {
+                order.restock_flagged_at = now.toISOString();
+                result.restock.push(order);
+            }
+        });
+
+        return result;
+    });
+}
+
+module.exports = {
+    markReady,
+    leaveReady,
+    refreshDueBy,
+    isOverdue,
+    runOverdueRules
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { hasRole } = require('./auth');
+const { roundMoney } = require('./orderItems');
+
+// Payments taken on orders.
+//
+// Orders created since payment tracking began carry `payments`, a list of
+//   { id, type (payment or refund), amount, method, reference, reason,
+//     staff, timestamp }
+// with positive amounts; refunds count against what was paid. The balance
+// due is the total less what was paid, so it follows edits to the order; a
+// negative balance is owed back to the customer. Orders from before
+// payment tracking have no list and no balance until a payment is taken.
+//
+// An order with a balance due is only handed over on a supervisor's
+// override, kept on the order as balance_override. Moving an order that
+// was paid for but not handed over to the recycle bin refunds what was
+// paid (the refund is marked `deletion`), unless the manager chooses to
+// keep it (kept on the order as refund_waived). A completed order was
+// collected, so what was paid for it is kept.
+//
+// A shift is one staff member's payments and refunds since they last
+// closed a shift. Closing it keeps the totals per method, with the cash
+// counted in the drawer, in the `shift_closes` collection.
+
+const METHODS = ['cash', 'card', 'transfer'];
+const CLOSED_STATUSES = ['cancelled', 'rejected', 'deleted'];
+const NO_REFUND = 'none';
+
+function isTracked(order) {
+    return Array.isArray(order.payments);
+}
+
+// Paid less refunded
+function amountPaid(order) {
+    return roundMoney((order.payments || []).reduce(
+        (sum, p) => sum + (p.type === 'refund' ? -p.amount : p.amount), 0));
+}
+
+// Still to pay, or null for orders without payment tracking
+function balanceDue(order) {
+    return isTracked(order) ? roundMoney(Number(order.total || 0) - amountPaid(order)) : null;
+}
+
+function formatRs(amount) {
+    return `Rs. ${Number(amount).toFixed(2)}`;
+}
+
+// Validated { amount, method, reference } from a request body
+function parseTender(raw) {
+    const amount = roundMoney(Number(raw.amount));
+    if (!Number.isFinite(amount) || amount <= 0) {
+        throw new ApiError('Amount must be more than zero');
+    }
+    if (!METHODS.includes(raw.method)) {
+        throw new ApiError(`Payment method must be one of: ${METHODS.join(', ')}`);
+    }
+    const reference = String(raw.reference || '').trim();
+    if (raw.method !== 'cash' && !reference) {
+        throw new ApiError(`Give the ${raw.method} reference (e.g. the slip or transaction number)`);
+    }
+    return { amount, method: raw.method, reference };
+}
+
+function addRecord(order, type, tender, staff, extra = {}) {
+    const record = {
+        id: crypto.randomBytes(6).toString('hex'),
+        type,
+        ...tender,
+        reason: '',
+        ...extra,
+        staff,
+        timestamp: new Date().toISOString()
+    };
+    if (!isTracked(order)) order.payments = [];
+    order.payments.push(record);
+    return record;
+}
+
+// Take a payment (a deposit or the rest) towards an order
+function recordPayment(order, raw, staff) {
+    if (CLOSED_STATUSES.includes(order.status)) {
+        throw new ApiError(`Cannot take a payment for a ${order.status} order`, 409);
+    }
+    const tender = parseTender(raw);
+    const balance = isTracked(order) ? balanceDue(order) : roundMoney(Number(order.total || 0));
+    if (tender.amount > balance) {
+        throw new ApiError(`${formatRs(tender.amount)} is more than the balance due (${formatRs(balance)})`);
+    }
+    return addRecord(order, 'payment', tender, staff);
+}
+
+// Give money back; a reason is required and no more than was paid
+function recordRefund(order, raw, staff) {
+    const tender = parseTender(raw);
+    const reason = String(raw.reason || '').trim();
+    if (!reason) {
+        throw new ApiError('Give a reason for the refund');
+    }
+    const paid = amountPaid(order);
+    if (tender.amount > paid) {
+        throw new ApiError(`${formatRs(tender.amount)} is more than was paid (${formatRs(paid)})`);
+    }
+    return addRecord(order, 'refund', tender, staff, { reason });
+}
+
+// Refund what was paid on an order being moved to the recycle bin. The
+// request gives refundMethod and refundReference, or refundMethod 'none'
+// and refundReason to keep the money. Returns the refund, or null when
+// nothing is refunded.
+function refundForDeletion(order, raw, staff) {
+    const paid = amountPaid(order);
+    if (paid <= 0 || order.status === 'completed') return null;
+    if (!raw.refundMethod) {
+        throw new ApiError(`The customer has paid ${formatRs(paid)}. Choose how it is refunded (${METHODS.join(', ')}), or ${NO_REFUND} to keep it`, 409);
+    }
+    if (raw.refundMethod === NO_REFUND) {
+        const reason = String(raw.refundReason || '').trim();
+        if (!reason) {
+            throw new ApiError(`Give a reason for keeping the ${formatRs(paid)} paid`);
+        }
+        order.refund_waived = { staff, reason, amount: paid, timestamp: new Date().toISOString() };
+        return null;
+    }
+    return addRecord(order, 'refund', parseTender({ amount: paid, method: raw.refundMethod, reference: raw.refundReference }), staff, {
+        reason: 'Order moved to the recycle bin',
+        deletion: true
+    });
+}
+
+// Handing over with a balance due needs a supervisor's override (request
+// fields balanceOverride and balanceOverrideReason). Returns the override
+// to keep on the order, or null when nothing is due.
+function checkBalanceForHandover(order, raw, user) {
+    const balance = balanceDue(order);
+    if (!(balance > 0)) return null;
+
+    if (!raw.balanceOverride) {
+        throw new ApiError(`Balance due: ${formatRs(balance)}. Take the payment first, or a supervisor can hand over with the balance outstanding`, 409);
+    }
+    if (!hasRole(user, 'supervisor')) {
+        throw new ApiError('Only a supervisor can hand over an order with a balance due', 403);
+    }
+    const reason = String(raw.balanceOverrideReason || '').trim();
+    if (!reason) {
+        throw new ApiError('Give a reason for handing over with a balance due');
+    }
+    return { staff: user.username, reason, balance, timestamp: new Date().toISOString() };
+}
+
+function emptyTotals() {
+    const totals = {};
+    METHODS.forEach(method => { totals[method] = { payments: 0, refunds: 0, net: 0 }; });
+    totals.all = { payments: 0, refunds: 0, net: 0 };
+    return totals;
+}
+
+function addToTotals(totals, entry) {
+    [totals[entry.method], totals.all].forEach(total => {
+        if (entry.type === 'refund') {
+            total.refunds = roundMoney(total.refunds + entry.amount);
+            total.net = roundMoney(total.net - entry.amount);
+        } else {
+            total.payments = roundMoney(total.payments + entry.amount);
+            total.net = roundMoney(total.net + entry.amount);
+        }
+    });
+}
+
+// A staff member's open shift: their payments and refunds, on active and
+// deleted orders, since their last shift close
+function shiftReport(orders, closes, staff) {
+    const previous = closes.filter(c => c.staff === staff).sort((a, b) => a.closed_at.localeCompare(b.closed_at)).pop();
+    const since = previous ? previous.closed_at : null;
+
+    const entries = [];
+    orders.forEach(order => (order.payments || []).forEach(payment => {
+        if (payment.staff !== staff || (since && payment.timestamp <= since)) return;
+        entries.push({ order_number: order.order_number, customer_name: order.customer_name, ...payment });
+    }));
+    entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    const totals = emptyTotals();
+    entries.forEach(entry => addToTotals(totals, entry));
+    return { staff, opened_at: since || (entries[0] ? entries[0].timestamp : null), entries, totals };
+}
+
+// Close a shift report, comparing the cash counted with the cash taken.
+// The close is kept under the branch of the staff member whose shift it is.
+function closeShift(closes, report, raw, closedBy, branch) {
+    const countedCash = roundMoney(Number(raw.countedCash));
+    if (raw.countedCash === undefined || raw.countedCash === '' || !Number.isFinite(countedCash) || countedCash < 0) {
+        throw new ApiError('Enter the cash counted in the drawer');
+    }
+
+    const close = {
+        id: crypto.randomBytes(8).toString('hex'),
+        staff: report.staff,
+        branch,
+        opened_at: report.opened_at,
+        closed_at: new Date().toISOString(),
+        closed_by: closedBy,
+        entries: report.entries.length,
+        totals: report.totals,
+        counted_cash: countedCash,
+        cash_difference: roundMoney(countedCash - report.totals.cash.net),
+        note: String(raw.note || '').trim()
+    };
+    closes.push(close);
+    return close;
+}
+
+module.exports = {
+    METHODS,
+    amountPaid,
+    balanceDue,
+    recordPayment,
+    recordRefund,
+    refundForDeletion,
+    checkBalanceForHandover,
+    shiftReport,
+    closeShift
+};
@@ -0,0 +1,101 @@
+const { storage } = require('./storage');
+const { ApiError } = require('./errors');
+const { getSetting } = require('./settings');
+const { parseTimeWindows } = require('./timeWindows');
+
+// Pickup time slots.
+//
+// Every day offers the windows in the "Pickup slot windows" setting, as far
+// ahead as "Days of pickup slots offered". A slot is identified by its date
+// and start time ("2024-05-01 09:00", server time) and takes at most
+// "Orders per pickup slot" pickups per branch. Orders keep their booking as
+// pickup_slot: { id, date, start, end }; cancelled and rejected orders give
+// their place back.
+
+const CLOSED_STATUSES = ['completed', 'cancelled', 'rejected'];
+const FREED_STATUSES = ['cancelled', 'rejected'];
+
+function slotsEnabled() {
+    return getSetting('pickupSlots.windows') !== '';
+}
+
+function localDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function slotEndsAt(slot) {
+    return new Date(`${slot.date}T${slot.end}:00`);
+}
+
+// Slots that have not ended yet, up to the booking horizon
+function upcomingSlots(now = new Date()) {
+    if (!slotsEnabled()) return [];
+
+    const windows = parseTimeWindows(getSetting('pickupSlots.windows'));
+    const slots = [];
+    for (let day = 0; day < getSetting('pickupSlots.daysAhead'); day++) {
+        const date = localDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() + day));
+        windows.forEach(({ start, end }) => {
+            const slot = { id: `${date} ${start}`, date, start, end };
+            if (slotEndsAt(slot) > now) slots.push(slot);
+        });
+    }
+    return slots;
+}
+
+function bookedCount(orders, branch, slotId, exceptOrder) {
+    return orders.filter(o =>
+        o !== exceptOrder &&
+        o.branch === branch &&
+        o.pickup_slot && o.pickup_slot.id === slotId &&
+        !FREED_STATUSES.includes(o.status)
+    ).length;
+}
+
+// Upcoming slots for a branch with how many places are left
+async function listSlots(branch) {
+    const orders = await storage.read('orders');
+    const capacity = getSetting('pickupSlots.capacity');
+    return upcomingSlots().map(slot => {
+        const booked = bookedCount(orders, branch, slot.id);
+        return { ...slot, capacity, booked, available: Math.max(0, capacity - booked) };
+    });
+}
+
+// Book `slotId` for `order`, or clear the booking when it is empty. Call
+// inside a storage update holding `orders`; `order` may be a new order not
+// yet in the list.
+function bookSlot(orders, order, slotId) {
+    if (CLOSED_STATUSES.includes(order.status)) {
+        throw new ApiError(`Pickup slots cannot be changed for ${order.status} orders`, 409);
+    }
+
+    const id = String(slotId || '').trim();
+    if (!id) {
+        delete order.pickup_slot;
+        return null;
+    }
+    if (!slotsEnabled()) {
+        throw new ApiError('Pickup slots are turned off', 409);
+    }
+
+    const slot = upcomingSlots().find(s => s.id === id);
+    if (!slot) {
+        throw new ApiError('That pickup slot is not available. Please choose another one');
+    }
+    const unchanged = order.pickup_slot && order.pickup_slot.id === slot.id;
+    if (!unchanged && bookedCount(orders, order.branch, slot.id, order) >= getSetting('pickupSlots.capacity')) {
+        throw new ApiError('That pickup slot is full. Please choose another one', 409);
+    }
+
+    order.pickup_slot = slot;
+    return slot;
+}
+
+module.exports = {
+    slotsEnabled,
+    slotEndsAt,
+    listSlots,
+    bookSlot
+};
@@ -0,0 +1,175 @@
+const net = require('net');
+const { ApiError } = require('./errors');
+const { createEscPos, LINE_WIDTH } = require('./escpos');
+const { getSetting } = require('./settings');
+const { amountPaid, balanceDue } = require('./payments');
+
+// Thermal label printing.
+//
+// Pickup labels are rendered as ESC/POS byte streams and either sent to a
+// network receipt printer (raw TCP, usually port 9100) or downloaded for
+// printing some other way. Configuration:
+//   PRINTER_HOST         printer address; unset disables network printing
+//   PRINTER_PORT         raw print port (default 9100)
+//   PRINTER_PAPER_WIDTH  paper width in mm, 58 or 80 (default 80)
+//   PRINTER_TIMEOUT_MS   connect/send timeout (default 5000)
+
+let config = null;
+
+// Read and validate the printer settings; throws on bad values so a
+// misconfigured printer stops startup instead of failing at the counter
+function loadPrinterConfig() {
+    const paperWidth = Number(process.env.PRINTER_PAPER_WIDTH || 80);
+    if (!LINE_WIDTH[paperWidth]) {
+        throw new Error(`PRINTER_PAPER_WIDTH must be one of ${Object.keys(LINE_WIDTH).join(', ')} (got "${process.env.PRINTER_PAPER_WIDTH}")`);
+    }
+
+    const port = Number(process.env.PRINTER_PORT || 9100);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error(`PRINTER_PORT must be a TCP port number (got "${process.env.PRINTER_PORT}")`);
+    }
+
+    const timeoutMs = Number(process.env.PRINTER_TIMEOUT_MS || 5000);
+    if (!(timeoutMs > 0)) {
+        throw new Error(`PRINTER_TIMEOUT_MS must be a positive number (got "${process.env.PRINTER_TIMEOUT_MS}")`);
+    }
+
+    config = {
+        host: process.env.PRINTER_HOST || null,
+        port,
+        paperWidth,
+        timeoutMs
+    };
+    return config;
+}
+
+function getPrinterConfig() {
+    return config || loadPrinterConfig();
+}
+
+function storeName() {
+    return process.env.STORE_NAME || 'Wickrama Hardware';
+}
+
+// Header and footer text for a branch's labels. Branches without their own
+// footer use the label footer setting.
+function labelText(branch) {
+    return {
+        header: (branch && (branch.label_header || branch.name)) || storeName().toUpperCase(),
+        footer: (branch && branch.label_footer) || getSetting('label.footer'),
+        contact: branch ? [branch.address, branch.phone].filter(Boolean).join(' | ') : ''
+    };
+}
+
+function money(value) {
+    return Number(value || 0).toFixed(2);
+}
+
+// Pickup label: branch header, order and invoice numbers, customer, items,
+// what was paid and is still due, a Code128 barcode of the order number
+// and a QR code of the tracking link
+function renderPickupLabel(order, { trackingUrl, branch } = {}) {
+    const { paperWidth } = getPrinterConfig();
+    const label = createEscPos({ paperWidth });
+    const text = labelText(branch);
+
+    label.align('center').bold().size(2, 2).line(text.header).size().bold(false);
+    if (text.contact) label.line(text.contact);
+    label.line('Pickup Order').divider();
+
+    label.align('left').bold().size(1, 2).columns('ORDER', order.order_number).size().bold(false);
+    label.columns('INVOICE', order.invoice_number || '-');
+    label.columns('PAYMENT', String(order.payment_method || '').toUpperCase());
+    label.columns('CUSTOMER', order.customer_name);
+    label.divider();
+
+    // Legacy orders carry their items as free text
+    const items = Array.isArray(order.items) ? order.items : [{ name: order.items, qty: '', unit: '', line_total: 0 }];
+    items.forEach(item => {
+        const description = `${item.qty} ${item.unit} ${item.name}`.replace(/\s+/g, ' ').trim();
+        label.columns(description, item.line_total ? money(item.line_total) : '');
+    });
+    label.divider();
+    label.bold().columns('TOTAL', `Rs. ${money(order.total)}`).bold(false);
+    const balance = balanceDue(order);
+    if (balance !== null) {
+        label.columns('PAID', `Rs. ${money(amountPaid(order))}`);
+        if (balance > 0) label.bold().columns('BALANCE DUE', `Rs. ${money(balance)}`).bold(false);
+        else if (balance < 0) label.columns('REFUND DUE', `Rs. ${money(-balance)}`);
+        else label.bold().line('FULLY PAID').bold(false);
+    }
+    label.feed(1);
+
+    label.align('center').barcode(order.order_number, { moduleWidth: paperWidth === 58 ? 1 : 2 });
+
+    if (trackingUrl) {
+        label.feed(1).qr(trackingUrl, { moduleSize: paperWidth === 58 ? 4 : 6 });
+        label.line('Scan to track your order');
+    }
+
+    label.feed(1).line(`Printed ${new Date().toLocaleString()}`);
+    if (text.footer) label.line(text.footer);
+    label.feed(3).cut();
+    return label.toBuffer();
+}
+
+// Test page showing the configured width, styles and both code types
+function renderTestPage(branch) {
+    const { paperWidth, host, port } = getPrinterConfig();
+    const label = createEscPos({ paperWidth });
+
+    label.align('center').bold().size(2, 2).line('PRINTER TEST').size().bold(false);
+    label.line(labelText(branch).header).divider('=');
+    label.align('left');
+    label.columns('Paper width', `${paperWidth}mm / ${label.width} cols`);
+    label.columns('Printer', host ? `${host}:${port}` : 'download');
+    label.columns('Printed', new Date().toLocaleString());
+    label.line('0123456789'.repeat(Math.ceil(label.width / 10)).slice(0, label.width));
+    label.bold().line('Bold text').bold(false);
+    label.size(2, 1).line('Wide text').size();
+    label.divider();
+    label.align('center').barcode('TEST-0001', { moduleWidth: paperWidth === 58 ? 1 : 2 });
+    label.feed(1).qr('PRINTER TEST', { moduleSize: paperWidth === 58 ? 4 : 6 });
+    label.feed(3).cut();
+    return label.toBuffer();
+}
+
+// Send raw bytes to the network printer. Resolves once the data is written
+// and the connection closed; rejects with a 503 when no printer is set up
+// or it cannot be reached in time.
+function sendToPrinter(data) {
+    const { host, port, timeoutMs } = getPrinterConfig();
+    if (!host) {
+        return Promise.reject(new ApiError('No network printer configured (set PRINTER_HOST)', 503));
+    }
+
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        let settled = false;
+
+        const finish = error => {
+            if (settled) return;
+            settled = true;
+            socket.destroy();
+            if (error) {
+                reject(new ApiError(`Printer ${host}:${port} unavailable: ${error.message}`, 503));
+            } else {
+                resolve({ host, port, bytes: data.length });
+            }
+        };
+
+        socket.setTimeout(timeoutMs, () => finish(new Error('timed out')));
+        socket.on('error', finish);
+        socket.on('connect', () => {
+            socket.end(data, () => finish());
+        });
+    });
+}
+
+module.exports = {
+    loadPrinterConfig,
+    getPrinterConfig,
+    renderPickupLabel,
+    renderTestPage,
+    sendToPrinter
+};
@@ -0,0 +1,62 @@
+// In-memory per-key rate limiting with a lockout after repeated failures.
+//
+// Each key (usually a client IP) may make `maxRequests` requests per
+// `windowMs`. Recording `maxFailures` failures within the window locks the
+// key for `lockoutMs`. State is per process and resets on restart.
+
+function createRateLimiter({ maxRequests, maxFailures, windowMs, lockoutMs }) {
+    const entries = new Map();
+
+    function entryFor(key, now) {
+        let entry = entries.get(key);
+        if (!entry || (now - entry.windowStart >= windowMs && (!entry.lockedUntil || entry.lockedUntil <= now))) {
+            entry = { windowStart: now, requests: 0, failures: 0, lockedUntil: 0 };
+            entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    // Count a request. Returns { allowed, retryAfterSeconds, locked }.
+    function hit(key) {
+        const now = Date.now();
+        const entry = entryFor(key, now);
+
+        if (entry.lockedUntil > now) {
+            return { allowed: false, locked: true, retryAfterSeconds: Math.ceil((entry.lockedUntil - now) / 1000) };
+        }
+        entry.requests += 1;
+        if (entry.requests > maxRequests) {
+            return { allowed: false, locked: false, retryAfterSeconds: Math.ceil((entry.windowStart + windowMs - now) / 1000) };
+        }
+        return { allowed: true };
+    }
+
+    // Record a failure. Returns true if this failure caused a lockout.
+    function fail(key) {
+        const now = Date.now();
+        const entry = entryFor(key, now);
+        entry.failures += 1;
+        if (entry.failures >= maxFailures && !(entry.lockedUntil > now)) {
+            entry.lockedUntil = now + lockoutMs;
+            return true;
+        }
+        return false;
+    }
+
+    // Drop expired entries so the map does not grow without bound
+    function prune() {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (now - entry.windowStart >= windowMs && entry.lockedUntil <= now) {
+                entries.delete(key);
+            }
+        }
+    }
+    setInterval(prune, windowMs).unref();
+
+    return { hit, fail };
+}
+
+module.exports = {
+    createRateLimiter
+};
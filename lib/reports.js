@@ -0,0 +1,237 @@
+const { ApiError } = require('./errors');
+const { toCsv } = require('./csv');
+const { parseDateRange, inRange } = require('./dateRange');
+const { LIFECYCLE } = require('./orderStatus');
+
+// Operational reports computed from orders and their status history.
+//
+// Orders created in the date range feed the summary, payment breakdown and
+// turnaround figures. Staff activity counts what each person did in the
+// range (orders taken, approvals, status changes, scans) whatever the
+// order's age. Uncollected orders are always a snapshot of now.
+//
+// Durations are reported in hours.
+
+const HOUR_MS = 60 * 60 * 1000;
+const STAGES = [...LIFECYCLE.filter(status => status !== 'completed'), 'on-hold'];
+const AGE_BUCKETS = [
+    { label: 'Under 1 day', maxHours: 24 },
+    { label: '1-3 days', maxHours: 72 },
+    { label: '3-7 days', maxHours: 168 },
+    { label: 'Over 7 days', maxHours: Infinity }
+];
+
+function round(value, places = 1) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+// Count, average, median and 90th percentile (nearest rank)
+function summarize(values) {
+    if (values.length === 0) {
+        return { count: 0, average: null, median: null, p90: null };
+    }
+    const sorted = values.slice().sort((a, b) => a - b);
+    const rank = p => sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+    return {
+        count: sorted.length,
+        average: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        median: round(rank(0.5)),
+        p90: round(rank(0.9))
+    };
+}
+
+// YYYY-MM-DD in server local time
+function localDay(timestamp) {
+    const date = new Date(timestamp);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function historyOf(order) {
+    return (order.status_history || [])
+        .slice()
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+// Hours spent in each stage; the stage an order is still in is not counted
+function stageDurations(order) {
+    const history = historyOf(order);
+    const durations = [];
+    for (let i = 0; i < history.length - 1; i++) {
+        durations.push({
+            stage: history[i].status,
+            hours: (new Date(history[i + 1].timestamp) - new Date(history[i].timestamp)) / HOUR_MS
+        });
+    }
+    return durations;
+}
+
+// Received to the most recent completion, for completed orders
+function turnaroundHours(order) {
+    if (order.status !== 'completed') return null;
+    const history = historyOf(order);
+    const completed = history.filter(h => h.status === 'completed').pop();
+    const start = history.length ? history[0].timestamp : order.created_at;
+    return completed ? (new Date(completed.timestamp) - new Date(start)) / HOUR_MS : null;
+}
+
+function lastEntered(order, status) {
+    const entry = historyOf(order).filter(h => h.status === status).pop();
+    return entry ? entry.timestamp : null;
+}
+
+function staffRow(rows, name) {
+    const key = name || 'unknown';
+    if (!rows[key]) {
+        rows[key] = { staff: key, orders_created: 0, approvals: 0, rejections: 0, status_changes: 0, scans: 0 };
+    }
+    return rows[key];
+}
+
+function buildReport(orders, filters = {}, now = new Date()) {
+    const range = parseDateRange(filters);
+    const inPeriod = orders.filter(order => inRange(order.created_at, range));
+
+    // Summary and payment methods
+    const byStatus = {};
+    const payments = {};
+    inPeriod.forEach(order => {
+        byStatus[order.status] = (byStatus[order.status] || 0) + 1;
+        const method = order.payment_method || 'unknown';
+        payments[method] = payments[method] || { payment_method: method, orders: 0, value: 0 };
+        payments[method].orders += 1;
+        payments[method].value = round(payments[method].value + Number(order.total || 0), 2);
+    });
+
+    // Turnaround and time in stage
+    const stageHours = {};
+    STAGES.forEach(stage => { stageHours[stage] = []; });
+    const turnarounds = [];
+    inPeriod.forEach(order => {
+        stageDurations(order).forEach(({ stage, hours }) => {
+            if (stageHours[stage]) stageHours[stage].push(hours);
+        });
+        const hours = turnaroundHours(order);
+        if (hours !== null) turnarounds.push(hours);
+    });
+
+    // Staff activity and daily totals, by when things happened
+    const staff = {};
+    const days = {};
+    const day = timestamp => {
+        const key = localDay(timestamp);
+        days[key] = days[key] || { date: key, orders_created: 0, value_created: 0, orders_completed: 0 };
+        return days[key];
+    };
+
+    orders.forEach(order => {
+        if (inRange(order.created_at, range)) {
+            staffRow(staff, order.created_by).orders_created += 1;
+            const created = day(order.created_at);
+            created.orders_created += 1;
+            created.value_created = round(created.value_created + Number(order.total || 0), 2);
+        }
+
+        (order.approvals || []).forEach(approval => {
+            if (!approval.timestamp || !inRange(approval.timestamp, range)) return;
+            const row = staffRow(staff, approval.staff);
+            if (approval.decision === 'rejected') row.rejections += 1;
+            else row.approvals += 1;
+        });
+
+        historyOf(order).slice(1).forEach(entry => {
+            if (!inRange(entry.timestamp, range)) return;
+            if (entry.status === 'completed') day(entry.timestamp).orders_completed += 1;
+            if (!entry.staff || entry.staff === 'SYSTEM') return;
+            const row = staffRow(staff, entry.staff);
+            row.status_changes += 1;
+            if (entry.via === 'scan') row.scans += 1;
+        });
+    });
+
+    // Orders waiting for pickup right now, oldest first
+    const uncollected = orders
+        .filter(order => order.status === 'ready')
+        .map(order => {
+            const readyAt = lastEntered(order, 'ready') || order.created_at;
+            return {
+                order_number: order.order_number,
+                customer_name: order.customer_name,
+                customer_phone: order.customer_phone,
+                total: Number(order.total || 0),
+                ready_at: readyAt,
+                age_hours: round((now - new Date(readyAt)) / HOUR_MS)
+            };
+        })
+        .sort((a, b) => b.age_hours - a.age_hours);
+
+    return {
+        range: {
+            from: range.from ? range.from.toISOString() : null,
+            to: range.to ? range.to.toISOString() : null
+        },
+        generated_at: now.toISOString(),
+        summary: {
+            orders: inPeriod.length,
+            value: round(inPeriod.reduce((sum, order) => sum + Number(order.total || 0), 0), 2),
+            by_status: byStatus
+        },
+        turnaround: summarize(turnarounds),
+        stages: STAGES.map(stage => ({ stage, ...summarize(stageHours[stage]) })),
+        staff: Object.values(staff).sort((a, b) =>
+            (b.orders_created + b.status_changes + b.approvals) - (a.orders_created + a.status_changes + a.approvals)
+        ),
+        payments: Object.values(payments).sort((a, b) => b.value - a.value),
+        uncollected: {
+            buckets: AGE_BUCKETS.map((bucket, index) => ({
+                label: bucket.label,
+                orders: uncollected.filter(order =>
+                    order.age_hours < bucket.maxHours && (index === 0 || order.age_hours >= AGE_BUCKETS[index - 1].maxHours)
+                ).length
+            })),
+            orders: uncollected
+        },
+        daily: Object.values(days).sort((a, b) => a.date.localeCompare(b.date))
+    };
+}
+
+// One report section as CSV
+const CSV_SECTIONS = {
+    stages: report => toCsv(
+        ['stage', 'orders', 'average_hours', 'median_hours', 'p90_hours'],
+        [
+            ...report.stages.map(s => [s.stage, s.count, s.average, s.median, s.p90]),
+            ['received to completed', report.turnaround.count, report.turnaround.average, report.turnaround.median, report.turnaround.p90]
+        ]
+    ),
+    staff: report => toCsv(
+        ['staff', 'orders_created', 'approvals', 'rejections', 'status_changes', 'scans'],
+        report.staff.map(s => [s.staff, s.orders_created, s.approvals, s.rejections, s.status_changes, s.scans])
+    ),
+    payments: report => toCsv(
+        ['payment_method', 'orders', 'value'],
+        report.payments.map(p => [p.payment_method, p.orders, p.value.toFixed(2)])
+    ),
+    uncollected: report => toCsv(
+        ['order_number', 'customer_name', 'customer_phone', 'total', 'ready_at', 'age_hours'],
+        report.uncollected.orders.map(o => [o.order_number, o.customer_name, o.customer_phone, o.total.toFixed(2), o.ready_at, o.age_hours])
+    ),
+    daily: report => toCsv(
+        ['date', 'orders_created', 'value_created', 'orders_completed'],
+        report.daily.map(d => [d.date, d.orders_created, d.value_created.toFixed(2), d.orders_completed])
+    )
+};
+
+function reportCsv(orders, section, filters = {}) {
+    const render = CSV_SECTIONS[section];
+    if (!render) {
+        throw new ApiError(`Unknown report "${section}". Reports: ${Object.keys(CSV_SECTIONS).join(', ')}`, 404);
+    }
+    return render(buildReport(orders, filters));
+}
+
+module.exports = {
+    buildReport,
+    reportCsv
+};
@@ -0,0 +1,306 @@
+const { storage } = require('./storage');
+const { ApiError } = require('./errors');
+const { parseTimeWindows } = require('./timeWindows');
+const { parseCron } = require('./cron');
+
+// Business settings, edited by admins on the settings screen.
+//
+// SCHEMA gives each setting its type, limits, default and any extra check
+// (a function returning a problem or null). Changed values
+// are stored in the `settings` collection as { key, value, updated_at,
+// updated_by }; a setting that was never changed uses its default. Values
+// are cached in memory so code paths can read them synchronously with
+// getSetting(). Settings marked `client` are also sent to signed-in
+// browsers.
+
+const SCHEDULE_HINT = 'Cron format "minute hour day month weekday" in server time, e.g. 0 2 * * * for daily at 02:00. Leave empty to turn it off';
+
+const SCHEMA = {
+    'recycleBin.retentionDays': {
+        type: 'integer', min: 1, max: 365, default: 7, client: true,
+        label: 'Recycle bin retention (days)',
+        description: 'Deleted orders are exported and permanently removed after this many days'
+    },
+    'recycleBin.expiringSoonDays': {
+        type: 'integer', min: 0, max: 364, default: 5, client: true,
+        label: 'Expiring soon after (days)',
+        description: 'Deleted orders at least this old are flagged as expiring soon'
+    },
+    'approvals.defaultRequired': {
+        type: 'integer', min: 1, max: 10, default: 3,
+        label: 'Approvals required',
+        description: 'Approvals an order needs when no approval policy rule or file default applies'
+    },
+    'whatsapp.countryCode': {
+        type: 'string', pattern: /^[1-9]\d{0,3}$/, patternHint: '1-4 digits, no +', default: '94', client: true,
+        label: 'Phone country code',
+        description: 'Replaces the leading 0 of local phone numbers in WhatsApp links and SMS/WhatsApp notifications'
+    },
+    'whatsapp.readyMessage': {
+        type: 'string', maxLength: 500, multiline: true, client: true,
+        default: 'Your order {order_number} is ready for pickup at {store_name}. Thank you!',
+        label: 'WhatsApp ready message',
+        description: 'Sent from the WhatsApp link when no customer notification was queued. Placeholders: {order_number}, {customer_name}, {store_name}'
+    },
+    'label.footer': {
+        type: 'string', maxLength: 48, default: 'Thank you for choosing us!', client: true,
+        label: 'Label footer',
+        description: 'Last line of pickup labels for branches without their own footer'
+    },
+    'pickupSlots.windows': {
+        type: 'string', maxLength: 200, default: '09:00-12:00, 12:00-15:00, 15:00-18:00',
+        check: checkTimeWindows,
+        label: 'Pickup slot windows',
+        description: 'Daily pickup slots as comma-separated times, e.g. 09:00-12:00, 14:00-17:00. Leave empty to turn pickup slots off'
+    },
+    'pickupSlots.capacity': {
+        type: 'integer', min: 1, max: 1000, default: 10,
+        label: 'Orders per pickup slot',
+        description: 'Most pickups one branch takes in a single slot'
+    },
+    'pickupSlots.daysAhead': {
+        type: 'integer', min: 1, max: 60, default: 7,
+        label: 'Days of pickup slots offered',
+        description: 'How many days ahead customers and staff can book a pickup slot'
+    },
+    'pickup.holdDays': {
+        type: 'integer', min: 1, max: 60, default: 3,
+        label: 'Days before a pickup is overdue',
+        description: 'Ready orders without a booked slot are due this many days after they became ready'
+    },
+    'overdue.reminderDays': {
+        type: 'integer', min: 0, max: 60, default: 2,
+        label: 'Send pickup reminder after (days)',
+        description: 'Days in ready before the customer gets one reminder. 0 turns reminders off'
+    },
+    'overdue.restockDays': {
+        type: 'integer', min: 0, max: 365, default: 14,
+        label: 'Flag for restocking after (days)',
+        description: 'Days in ready before an uncollected order is flagged so its items go back on the shelf. 0 turns this off'
+    },
+    'exports.archiveAfterDays': {
+        type: 'integer', min: 1, max: 3650, default: 90,
+        label: 'Archive order exports after (days)',
+        description: 'Exports of permanently deleted orders older than this are compressed into the exports archive'
+    },
+    'schedules.recycleBinCleanup': {
+        type: 'string', maxLength: 100, default: '0 2 * * *', check: checkSchedule,
+        label: 'Recycle bin cleanup schedule',
+        description: `Exports and permanently deletes expired recycle bin orders. ${SCHEDULE_HINT}`
+    },
+    'schedules.exportArchive': {
+        type: 'string', maxLength: 100, default: '30 3 * * 0', check: checkSchedule,
+        label: 'Export archiving schedule',
+        description: `Compresses old order exports. ${SCHEDULE_HINT}`
+    },
+    'schedules.backup': {
+        type: 'string', maxLength: 100, default: '0 1 * * *', check: checkSchedule,
+        label: 'Backup schedule',
+        description: `Takes a full backup into the backups folder. ${SCHEDULE_HINT}`
+    },
+    'backups.keep': {
+        type: 'integer', min: 1, max: 365, default: 14,
+        label: 'Scheduled backups kept',
+        description: 'Older scheduled backups are deleted. Manual, uploaded and pre-restore backups are kept until deleted'
+    },
+    'schedules.overdueReminders': {
+        type: 'string', maxLength: 100, default: '0 * * * *', check: checkSchedule,
+        label: 'Overdue pickup check schedule',
+        description: `Sends pickup reminders and flags orders for restocking. ${SCHEDULE_HINT}`
+    }
+};
+
+// Settings that were replaced by another one. A stored old value is
+// converted until the new setting is saved.
+const REPLACED = {
+    'recycleBin.cleanupHour': hour => ['schedules.recycleBinCleanup', `0 ${hour} * * *`]
+};
+
+function checkTimeWindows(text) {
+    if (!text) return null;
+    try {
+        parseTimeWindows(text);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+function checkSchedule(text) {
+    if (!text) return null;
+    try {
+        parseCron(text);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// Rules between settings; each returns a problem or null
+const CROSS_CHECKS = [
+    values => values['recycleBin.expiringSoonDays'] < values['recycleBin.retentionDays']
+        ? null
+        : 'Expiring soon days must be less than the recycle bin retention days'
+];
+
+let values = defaults();
+
+function defaults() {
+    const result = {};
+    Object.entries(SCHEMA).forEach(([key, definition]) => { result[key] = definition.default; });
+    return result;
+}
+
+// Checked and normalized value for `key`; throws ApiError when invalid
+function parseValue(key, raw) {
+    const definition = SCHEMA[key];
+    if (!definition) {
+        throw new ApiError(`Unknown setting "${key}"`);
+    }
+
+    if (definition.type === 'integer') {
+        const number = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+        if (!Number.isInteger(number) || number < definition.min || number > definition.max) {
+            throw new ApiError(`${definition.label} must be a whole number from ${definition.min} to ${definition.max}`);
+        }
+        return number;
+    }
+
+    if (typeof raw !== 'string') {
+        throw new ApiError(`${definition.label} must be text`);
+    }
+    const text = raw.trim();
+    if (definition.maxLength && text.length > definition.maxLength) {
+        throw new ApiError(`${definition.label} is too long (max ${definition.maxLength} characters)`);
+    }
+    if (definition.pattern && !definition.pattern.test(text)) {
+        throw new ApiError(`${definition.label} must be ${definition.patternHint}`);
+    }
+    const problem = definition.check && definition.check(text);
+    if (problem) {
+        throw new ApiError(`${definition.label}: ${problem}`);
+    }
+    return text;
+}
+
+function checkCombination(candidate) {
+    const problem = CROSS_CHECKS.map(check => check(candidate)).find(Boolean);
+    if (problem) {
+        throw new ApiError(problem);
+    }
+}
+
+// Load stored settings at startup. A stored value that fails validation
+// stops startup, as a bad approval policy file does.
+async function loadSettings() {
+    const stored = await storage.read('settings');
+    const loaded = defaults();
+    stored.forEach(record => {
+        if (!REPLACED[record.key]) return;
+        const [key, value] = REPLACED[record.key](record.value);
+        if (!stored.some(r => r.key === key)) loaded[key] = value;
+    });
+    stored.forEach(record => {
+        if (!SCHEMA[record.key]) return;
+        try {
+            loaded[record.key] = parseValue(record.key, record.value);
+        } catch (error) {
+            throw new Error(`Invalid stored setting ${record.key}: ${error.message}`);
+        }
+    });
+    checkCombination(loaded);
+
+    values = loaded;
+    return { changed: stored.filter(record => SCHEMA[record.key]).length };
+}
+
+function getSetting(key) {
+    if (!SCHEMA[key]) {
+        throw new Error(`Unknown setting "${key}"`);
+    }
+    return values[key];
+}
+
+// Every setting with its definition, value and who last changed it
+async function listSettings() {
+    const stored = await storage.read('settings');
+    return Object.entries(SCHEMA).map(([key, definition]) => {
+        const record = stored.find(r => r.key === key) || {};
+        return {
+            key,
+            type: definition.type,
+            label: definition.label,
+            description: definition.description,
+            min: definition.min,
+            max: definition.max,
+            maxLength: definition.maxLength,
+            multiline: !!definition.multiline,
+            default: definition.default,
+            value: values[key],
+            updated_at: record.updated_at || null,
+            updated_by: record.updated_by || null
+        };
+    });
+}
+
+function clientSettings() {
+    const result = {};
+    Object.entries(SCHEMA).forEach(([key, definition]) => {
+        if (definition.client) result[key] = values[key];
+    });
+    return result;
+}
+
+// Settings updates run one at a time, so each starts from the values the
+// one before it saved
+let updating = Promise.resolve();
+
+// Apply { key: value, ... }. All values are checked before anything is
+// saved. Returns the settings that actually changed as { key, from, to }.
+function updateSettings(raw, staffName) {
+    const run = updating.then(() => applySettings(raw, staffName));
+    updating = run.catch(() => {});
+    return run;
+}
+
+async function applySettings(raw, staffName) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new ApiError('Send the settings to change as { "key": value }');
+    }
+
+    const candidate = { ...values };
+    Object.entries(raw).forEach(([key, value]) => {
+        candidate[key] = parseValue(key, value);
+    });
+    checkCombination(candidate);
+
+    const changes = Object.keys(raw)
+        .filter(key => candidate[key] !== values[key])
+        .map(key => ({ key, from: values[key], to: candidate[key] }));
+
+    const now = new Date().toISOString();
+    await storage.update('settings', stored => {
+        changes.forEach(({ key, to }) => {
+            let record = stored.find(r => r.key === key);
+            if (!record) {
+                record = { key };
+                stored.push(record);
+            }
+            record.value = to;
+            record.updated_at = now;
+            record.updated_by = staffName;
+        });
+    });
+
+    // The cache only takes the new values once they are saved
+    values = candidate;
+    return changes;
+}
+
+module.exports = {
+    loadSettings,
+    getSetting,
+    listSettings,
+    clientSettings,
+    updateSettings
+};
@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const { ROLES } = require('./auth');
+const { storage } = require('./storage');
+const { ApiError } = require('./errors');
+const { isHeadOffice, canAccessBranch, getBranch } = require('./branches');
+
+// scrypt parameters: N=2^14 keeps a login around 50ms on the shop PC
+const SCRYPT_KEYLEN = 64;
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+const MIN_PASSWORD_LENGTH = 8;
+
+// Lockout after repeated failed logins
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+
+class StaffError extends ApiError {}
+
+// Hash a password as "scrypt$<salt>$<hash>" with a random per-user salt
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN, SCRYPT_OPTIONS);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length, SCRYPT_OPTIONS);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new StaffError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+}
+
+function findStaff(staff, username) {
+    return staff.find(s => s.username === String(username || '').toLowerCase());
+}
+
+// Public view of an account, without the password hash
+function toPublic(account) {
+    const { password_hash, ...rest } = account;
+    return rest;
+}
+
+// Create the first admin account when no staff exist yet. Credentials come
+// from ADMIN_USERNAME / ADMIN_PASSWORD, or a one-time random password is
+// generated and printed once to the console.
+function ensureInitialAdmin(branchCode) {
+    return storage.update('staff', staff => {
+        if (staff.length > 0) return null;
+
+        const username = (process.env.ADMIN_USERNAME || 'admin').toLowerCase();
+        const generated = !process.env.ADMIN_PASSWORD;
+        const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+
+        staff.push({
+            username,
+            display_name: 'Administrator',
+            role: 'admin',
+            branch: branchCode,
+            password_hash: hashPassword(password),
+            disabled: false,
+            must_change_password: generated,
+            failed_logins: 0,
+            locked_until: null,
+            created_at: new Date().toISOString(),
+            created_by: 'SYSTEM'
+        });
+
+        return { username, password: generated ? password : null };
+    });
+}
+
+// Check a login attempt. Returns { user } on success or { error, locked } on failure.
+function authenticateStaff(username, password) {
+    return storage.update('staff', staff => {
+        const account = findStaff(staff, username);
+
+        if (!account || account.disabled) {
+            return { error: 'Invalid credentials' };
+        }
+
+        if (account.locked_until && new Date(account.locked_until) > new Date()) {
+            return { error: `Account locked after repeated failed logins. Try again after ${new Date(account.locked_until).toLocaleTimeString()}`, locked: true };
+        }
+
+        if (!verifyPassword(password, account.password_hash)) {
+            account.failed_logins = (account.failed_logins || 0) + 1;
+            let justLocked = false;
+            if (account.failed_logins >= MAX_FAILED_LOGINS) {
+                account.locked_until = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000).toISOString();
+                account.failed_logins = 0;
+                justLocked = true;
+            }
+            return { error: 'Invalid credentials', justLocked };
+        }
+
+        account.failed_logins = 0;
+        account.locked_until = null;
+        account.last_login_at = new Date().toISOString();
+
+        return { user: toPublic(account) };
+    });
+}
+
+// Create a staff account. The creator may not grant a role above their own
+// and, outside head office, creates accounts in their own branch.
+async function createStaff({ username, displayName, role, password, branch }, creator) {
+    const name = String(username || '').trim().toLowerCase();
+    if (!USERNAME_PATTERN.test(name)) {
+        throw new StaffError('Username must be 3-32 characters: lowercase letters, digits, dot, dash or underscore');
+    }
+    if (!ROLES.includes(role)) {
+        throw new StaffError(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (ROLES.indexOf(role) > ROLES.indexOf(creator.role)) {
+        throw new StaffError('You cannot create an account with a higher role than your own', 403);
+    }
+    validatePassword(password);
+    const branchCode = (await getBranch(branch || creator.branch)).code;
+    if (!canAccessBranch(creator, branchCode)) {
+        throw new StaffError('You can only create accounts in your own branch', 403);
+    }
+
+    return storage.update('staff', staff => {
+        if (findStaff(staff, name)) {
+            throw new StaffError('Username already exists', 409);
+        }
+
+        const account = {
+            username: name,
+            display_name: String(displayName || name).trim(),
+            role,
+            branch: branchCode,
+            password_hash: hashPassword(password),
+            disabled: false,
+            must_change_password: true,
+            failed_logins: 0,
+            locked_until: null,
+            created_at: new Date().toISOString(),
+            created_by: creator.username
+        };
+        staff.push(account);
+
+        return toPublic(account);
+    });
+}
+
+// Look up an account that the acting user is allowed to manage: one with
+// a lower role than theirs, so peers cannot take over each other's
+// accounts. Accounts in other branches are hidden from branch managers.
+// Users change their own password through changeOwnPassword.
+function getManagedAccount(staff, username, actor) {
+    const account = findStaff(staff, username);
+    if (!account || !canAccessBranch(actor, account.branch)) {
+        throw new StaffError('Staff account not found', 404);
+    }
+    if (account.username === actor.username) {
+        throw new StaffError('You cannot manage your own account here; use Password to change your own password', 403);
+    }
+    if (ROLES.indexOf(account.role) >= ROLES.indexOf(actor.role)) {
+        throw new StaffError('You can only manage accounts with a lower role than your own', 403);
+    }
+    return account;
+}
+
+function setStaffDisabled(username, disabled, actor) {
+    return storage.update('staff', staff => {
+        const account = getManagedAccount(staff, username, actor);
+
+        account.disabled = !!disabled;
+        account.updated_at = new Date().toISOString();
+
+        return toPublic(account);
+    });
+}
+
+// Set a new password chosen by a manager; the user must change it on next login
+async function resetStaffPassword(username, newPassword, actor) {
+    validatePassword(newPassword);
+
+    return storage.update('staff', staff => {
+        const account = getManagedAccount(staff, username, actor);
+
+        account.password_hash = hashPassword(newPassword);
+        account.must_change_password = true;
+        account.failed_logins = 0;
+        account.locked_until = null;
+        account.updated_at = new Date().toISOString();
+
+        return toPublic(account);
+    });
+}
+
+// Move an account to another branch (head office only)
+async function setStaffBranch(username, branchCode, actor) {
+    if (!isHeadOffice(actor)) {
+        throw new StaffError('Only head office can move staff between branches', 403);
+    }
+    const branch = await getBranch(branchCode);
+
+    return storage.update('staff', staff => {
+        const account = getManagedAccount(staff, username, actor);
+
+        account.branch = branch.code;
+        account.updated_at = new Date().toISOString();
+
+        return toPublic(account);
+    });
+}
+
+function changeOwnPassword(username, currentPassword, newPassword) {
+    return storage.update('staff', staff => {
+        const account = findStaff(staff, username);
+
+        if (!account || !verifyPassword(currentPassword, account.password_hash)) {
+            throw new StaffError('Current password is incorrect', 403);
+        }
+        validatePassword(newPassword);
+        if (currentPassword === newPassword) {
+            throw new StaffError('New password must be different from the current password');
+        }
+
+        account.password_hash = hashPassword(newPassword);
+        account.must_change_password = false;
+        account.updated_at = new Date().toISOString();
+
+        return toPublic(account);
+    });
+}
+
+// Accounts the user can manage: their branch's, or all for head office
+async function listStaff(actor) {
+    const staff = await storage.read('staff');
+    return staff.filter(account => canAccessBranch(actor, account.branch)).map(toPublic);
+}
+
+module.exports = {
+    StaffError,
+    MAX_FAILED_LOGINS,
+    LOCKOUT_MINUTES,
+    ensureInitialAdmin,
+    authenticateStaff,
+    createStaff,
+    setStaffDisabled,
+    resetStaffPassword,
+    setStaffBranch,
+    changeOwnPassword,
+    listStaff
+};
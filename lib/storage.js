@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+
+// Collections known to the storage layer. Each collection is an array of
+// records; the JSON backend keeps each one in <name>.json.
+const COLLECTIONS = ['orders', 'deleted_orders', 'staff', 'counters', 'products', 'notifications', 'notification_templates', 'secrets', 'erp_invoices', 'webhook_deliveries', 'branches', 'settings', 'signatures', 'shift_closes', 'jobs', 'job_runs'];
+
+class StorageError extends Error {}
+
+// Write a file atomically: write a temp file, flush it to disk, then rename
+// over the target so readers never see a half-written file.
+function writeFileAtomic(filepath, contents) {
+    const tempPath = `${filepath}.${process.pid}.${Date.now()}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filepath);
+}
+
+// Replace the records of a collection inside an update. Records are pushed
+// one by one: spreading a large collection into a single call overflows
+// the stack.
+function replaceRecords(list, records) {
+    list.length = 0;
+    records.forEach(record => list.push(record));
+}
+
+// JSON file backend: one file per collection in dataDir
+function createJsonBackend(dataDir) {
+    const fileFor = name => path.join(dataDir, `${name}.json`);
+
+    return {
+        name: 'json',
+
+        exists(name) {
+            return fs.existsSync(fileFor(name));
+        },
+
+        read(name) {
+            const filepath = fileFor(name);
+            if (!fs.existsSync(filepath)) return [];
+
+            const data = fs.readFileSync(filepath, 'utf8');
+            let records;
+            try {
+                records = JSON.parse(data);
+            } catch (error) {
+                // Never fall back to [] here: the next save would wipe the file
+                throw new StorageError(`${filepath} could not be parsed (${error.message}). Refusing to continue until it is repaired or restored.`);
+            }
+            if (!Array.isArray(records)) {
+                throw new StorageError(`${filepath} does not contain a list of records`);
+            }
+            return records;
+        },
+
+        // Files are written one after another, so a crash between them can
+        // leave a record in two collections. Callers moving records list the
+        // destination first so the worst case is a duplicate, never a loss.
+        writeMany(entries) {
+            entries.forEach(([name, records]) => {
+                writeFileAtomic(fileFor(name), JSON.stringify(records, null, 2));
+            });
+        }
+    };
+}
+
+// Embedded SQLite backend. better-sqlite3 is an optional dependency and is
+// only loaded when this backend is selected.
+function createSqliteBackend(sqliteFile) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new StorageError('STORAGE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    const db = new Database(sqliteFile);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS records (
+            collection TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            data TEXT NOT NULL,
+            PRIMARY KEY (collection, position)
+        )
+    `);
+
+    const selectRecords = db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY position');
+    const countRecords = db.prepare('SELECT COUNT(*) AS count FROM records WHERE collection = ?');
+    const deleteRecords = db.prepare('DELETE FROM records WHERE collection = ?');
+    const insertRecord = db.prepare('INSERT INTO records (collection, position, data) VALUES (?, ?, ?)');
+
+    // All collections in one update are replaced in a single transaction
+    const replaceCollections = db.transaction(entries => {
+        entries.forEach(([name, records]) => {
+            deleteRecords.run(name);
+            records.forEach((record, index) => insertRecord.run(name, index, JSON.stringify(record)));
+        });
+    });
+
+    return {
+        name: 'sqlite',
+
+        exists(name) {
+            return countRecords.get(name).count > 0;
+        },
+
+        read(name) {
+            return selectRecords.all(name).map(row => JSON.parse(row.data));
+        },
+
+        writeMany(entries) {
+            replaceCollections(entries);
+        }
+    };
+}
+
+function createStorage(options = {}) {
+    const backendName = options.backend || 'json';
+    const dataDir = options.dataDir || '.';
+
+    let backend;
+    if (backendName === 'json') {
+        backend = createJsonBackend(dataDir);
+    } else if (backendName === 'sqlite') {
+        backend = createSqliteBackend(options.sqliteFile || path.join(dataDir, 'wickrama.db'));
+    } else {
+        throw new StorageError(`Unknown storage backend: ${backendName}`);
+    }
+
+    // Per-collection lock queues: each entry is the promise the next
+    // caller must wait for before touching that collection
+    const locks = new Map();
+
+    // Write counters per collection, so callers can cache derived data
+    // (e.g. search indexes) and rebuild it only after a change
+    const versions = new Map();
+
+    function acquire(name) {
+        const previous = locks.get(name) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        const tail = previous.then(() => current);
+        locks.set(name, tail);
+
+        return previous.then(() => () => {
+            release();
+            if (locks.get(name) === tail) locks.delete(name);
+        });
+    }
+
+    // Lock in sorted order so two multi-collection updates cannot deadlock
+    async function withLocks(names, fn) {
+        const releases = [];
+        for (const name of [...new Set(names)].sort()) {
+            releases.push(await acquire(name));
+        }
+        try {
+            return await fn();
+        } finally {
+            releases.reverse().forEach(release => release());
+        }
+    }
+
+    return {
+        backend: backend.name,
+
+        // Read a snapshot of a collection
+        async read(name) {
+            return backend.read(name);
+        },
+
+        // Serialized read-modify-write. The mutator receives one array per
+        // collection, edits them in place and may return a result. Nothing is
+        // written if the mutator throws.
+        async update(names, mutator) {
+            const list = Array.isArray(names) ? names : [names];
+
+            return withLocks(list, async () => {
+                const collections = list.map(name => backend.read(name));
+                const result = await mutator(...collections);
+                backend.writeMany(list.map((name, index) => [name, collections[index]]));
+                list.forEach(name => versions.set(name, (versions.get(name) || 0) + 1));
+                return result;
+            });
+        },
+
+        // Read several collections at one point in time: no update lands
+        // between the reads
+        async snapshot(names) {
+            return withLocks(names, async () => names.map(name => backend.read(name)));
+        },
+
+        // Create empty collections that do not exist yet and check that the
+        // existing ones can be read
+        init(names = COLLECTIONS) {
+            names.forEach(name => {
+                if (!backend.exists(name)) {
+                    if (backend.name === 'json') backend.writeMany([[name, []]]);
+                } else {
+                    backend.read(name);
+                }
+            });
+        },
+
+        exists(name) {
+            return backend.exists(name);
+        },
+
+        // Number of writes to a collection made through this instance
+        version(name) {
+            return versions.get(name) || 0;
+        }
+    };
+}
+
+// Shared storage instance, configured from the environment
+const storage = createStorage({
+    backend: process.env.STORAGE_BACKEND,
+    sqliteFile: process.env.SQLITE_FILE
+});
+
+module.exports = {
+    COLLECTIONS,
+    StorageError,
+    writeFileAtomic,
+    replaceRecords,
+    createStorage,
+    storage
+};
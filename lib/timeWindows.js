@@ -0,0 +1,37 @@
+// Daily time windows written as "09:00-12:00, 14:00-17:00" (24-hour server
+// time), used for pickup slots. Windows must not overlap.
+
+const WINDOW_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Windows in order as [{ start, end }]; throws an Error saying what is wrong
+function parseTimeWindows(text) {
+    const windows = String(text || '').split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const match = part.match(WINDOW_PATTERN);
+        if (!match) {
+            throw new Error(`"${part}" is not a time window like 09:00-12:00`);
+        }
+        const startMinutes = Number(match[1]) * 60 + Number(match[2]);
+        const endMinutes = Number(match[3]) * 60 + Number(match[4]);
+        if (endMinutes <= startMinutes) {
+            throw new Error(`${part} must end after it starts`);
+        }
+        return { start: part.slice(0, 5), end: part.slice(6), startMinutes, endMinutes };
+    });
+
+    if (windows.length === 0) {
+        throw new Error('Give at least one time window');
+    }
+
+    windows.sort((a, b) => a.startMinutes - b.startMinutes);
+    windows.forEach((window, index) => {
+        const previous = windows[index - 1];
+        if (previous && window.startMinutes < previous.endMinutes) {
+            throw new Error(`${previous.start}-${previous.end} and ${window.start}-${window.end} overlap`);
+        }
+    });
+    return windows.map(({ start, end }) => ({ start, end }));
+}
+
+module.exports = {
+    parseTimeWindows
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { storage } = require('./storage');
+
+// Customer order tracking.
+//
+// Each order has tracking tokens: HMACs of its order number, so tokens
+// cannot be guessed or moved to another order and need no storage. There
+// are two scopes. The receipt token goes on receipts and labels as a link
+// or QR code, so staff can see it; it shows the order but not its pickup
+// code. The customer token only goes to the customer, in the links in
+// their notifications, and also shows the pickup code. The signing secret comes
+// from TRACKING_SECRET or is generated once and kept in the `secrets`
+// collection so printed links survive restarts. The same secret derives
+// pickup codes (see handover.js).
+
+const SECRET_NAME = 'tracking';
+// Scope -> HMAC label; receipt tokens keep the original label so printed
+// links stay valid
+const SCOPES = { receipt: 'track', customer: 'customer' };
+const MIN_PHONE_DIGITS = 4;
+
+let secret = null;
+
+async function initTrackingSecret() {
+    if (process.env.TRACKING_SECRET) {
+        secret = process.env.TRACKING_SECRET;
+        return;
+    }
+
+    secret = await storage.update('secrets', secrets => {
+        let record = secrets.find(s => s.name === SECRET_NAME);
+        if (!record) {
+            record = { name: SECRET_NAME, value: crypto.randomBytes(32).toString('hex'), created_at: new Date().toISOString() };
+            secrets.push(record);
+        }
+        return record.value;
+    });
+}
+
+// 128-bit token, base64url so it stays short in a QR code
+function trackingToken(orderNumber, scope = 'receipt') {
+    if (!secret) throw new Error('Tracking secret not initialised');
+    if (!SCOPES[scope]) throw new Error(`Unknown tracking token scope "${scope}"`);
+    return crypto.createHmac('sha256', secret).update(`${SCOPES[scope]}:${orderNumber}`).digest().subarray(0, 16).toString('base64url');
+}
+
+// The scope of a valid token for the order, or null
+function tokenScope(orderNumber, token) {
+    const given = Buffer.from(String(token || ''));
+    return Object.keys(SCOPES).find(scope => {
+        const expected = Buffer.from(trackingToken(orderNumber, scope));
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    }) || null;
+}
+
+// Six-digit pickup code for one issue of a code to an order
+function pickupCode(orderNumber, codeId) {
+    if (!secret) throw new Error('Tracking secret not initialised');
+    const digest = crypto.createHmac('sha256', secret).update(`pickup:${orderNumber}:${codeId}`).digest();
+    return String(digest.readUInt32BE(0) % 1000000).padStart(6, '0');
+}
+
+function trackingUrl(orderNumber, scope = 'receipt') {
+    const base = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+    const params = new URLSearchParams({ order: orderNumber, t: trackingToken(orderNumber, scope) });
+    return `${base}/track?${params}`;
+}
+
+function digitsOf(phone) {
+    return String(phone || '').replace(/\D/g, '');
+}
+
+// True if `lastDigits` are at least the last four digits of the order's phone
+function phoneMatches(order, lastDigits) {
+    const given = digitsOf(lastDigits);
+    return given.length >= MIN_PHONE_DIGITS && digitsOf(order.customer_phone).endsWith(given);
+}
+
+// 0771234567 -> 077*****67
+function maskPhone(phone) {
+    const digits = digitsOf(phone);
+    if (digits.length <= 5) return '*'.repeat(digits.length);
+    return digits.slice(0, 3) + '*'.repeat(digits.length - 5) + digits.slice(-2);
+}
+
+module.exports = {
+    MIN_PHONE_DIGITS,
+    initTrackingSecret,
+    trackingToken,
+    tokenScope,
+    pickupCode,
+    trackingUrl,
+    phoneMatches,
+    maskPhone
+};
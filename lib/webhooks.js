@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const { storage, replaceRecords } = require('./storage');
+const { ApiError } = require('./errors');
+
+// Outbound webhooks for the ERP and other systems.
+//
+// Order events are queued in the `webhook_deliveries` collection, one
+// delivery per endpoint, and POSTed by a worker that retries failures with
+// exponential backoff. Deliveries stay in the collection as the delivery
+// log; delivered and failed ones are dropped once they are older than the
+// retention period. Configuration:
+//   WEBHOOK_URLS            comma-separated endpoint URLs; unset disables webhooks
+//   WEBHOOK_SECRET          HMAC key, required when URLs are set
+//   WEBHOOK_EVENTS          optional comma-separated list of events to send
+//   WEBHOOK_RETENTION_DAYS  days finished deliveries are kept (default 30)
+//
+// Events: order.created, order.status_changed, order.completed,
+// order.deleted (and webhook.test). Each request carries
+//   X-Webhook-Event, X-Webhook-Delivery (stable across retries),
+//   X-Webhook-Timestamp (unix seconds) and
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+// Receivers should recompute the signature and reject stale timestamps.
+
+const EVENTS = ['order.created', 'order.status_changed', 'order.completed', 'order.deleted'];
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = 30 * 1000;
+const WORKER_INTERVAL_MS = 15 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const RETENTION_DAYS = Number(process.env.WEBHOOK_RETENTION_DAYS) || 30;
+const FINISHED_STATUSES = ['delivered', 'failed'];
+
+let config = { urls: [], events: EVENTS, secret: null };
+let workerRunning = false;
+let rerunRequested = false;
+
+function loadWebhookConfig() {
+    const urls = String(process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+    urls.forEach(url => {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new Error(`WEBHOOK_URLS contains an invalid URL: ${url}`);
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new Error(`Webhook URLs must be http or https: ${url}`);
+        }
+    });
+    if (urls.length && !process.env.WEBHOOK_SECRET) {
+        throw new Error('WEBHOOK_SECRET is required when WEBHOOK_URLS is set');
+    }
+
+    const events = process.env.WEBHOOK_EVENTS
+        ? process.env.WEBHOOK_EVENTS.split(',').map(event => event.trim()).filter(Boolean)
+        : EVENTS;
+    const unknown = events.filter(event => !EVENTS.includes(event));
+    if (unknown.length) {
+        throw new Error(`Unknown webhook event "${unknown[0]}" in WEBHOOK_EVENTS. Events: ${EVENTS.join(', ')}`);
+    }
+
+    config = { urls, events, secret: process.env.WEBHOOK_SECRET || null };
+    return config;
+}
+
+// Drop finished deliveries older than the retention period
+function pruneDeliveries(deliveries) {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const keep = deliveries.filter(d => !FINISHED_STATUSES.includes(d.status) || new Date(d.created_at) > cutoff);
+    if (keep.length < deliveries.length) {
+        replaceRecords(deliveries, keep);
+    }
+}
+
+function signPayload(body, timestamp) {
+    return crypto.createHmac('sha256', config.secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Queue `event` for every endpoint. Returns the number of deliveries
+// queued. Never throws: a webhook problem must not fail the order change.
+async function queueWebhook(event, data) {
+    try {
+        if (!config.urls.length) return 0;
+        if (event !== 'webhook.test' && !config.events.includes(event)) return 0;
+
+        const now = new Date().toISOString();
+        const eventId = crypto.randomBytes(8).toString('hex');
+        const deliveries = config.urls.map(url => ({
+            id: crypto.randomBytes(8).toString('hex'),
+            event,
+            url,
+            payload: { id: eventId, event, created_at: now, data },
+            status: 'pending',
+            attempts: 0,
+            next_attempt_at: now,
+            last_error: null,
+            response_status: null,
+            created_at: now
+        }));
+
+        await storage.update('webhook_deliveries', stored => {
+            pruneDeliveries(stored);
+            stored.push(...deliveries);
+        });
+
+        setImmediate(processQueue);
+        return deliveries.length;
+    } catch (error) {
+        console.error(`Error queueing ${event} webhook:`, error);
+        return 0;
+    }
+}
+
+// Order events as webhooks. `type` is the live event type used for staff
+// screens; status changes also report the status they came from.
+function queueOrderWebhooks(type, order) {
+    if (type === 'order.created' || type === 'order.deleted') {
+        return queueWebhook(type, { order });
+    }
+    if (type === 'order.status') {
+        const history = order.status_history || [];
+        const previous = history.length > 1 ? history[history.length - 2].status : null;
+        const change = { order, previous_status: previous, status: order.status };
+        return Promise.all([
+            queueWebhook('order.status_changed', change),
+            order.status === 'completed' ? queueWebhook('order.completed', { order }) : 0
+        ]);
+    }
+    return Promise.resolve(0);
+}
+
+async function deliver(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'WickramaPickup-Webhooks/1.0',
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': delivery.id,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': `sha256=${signPayload(body, timestamp)}`
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        const error = new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+        error.responseStatus = response.status;
+        throw error;
+    }
+    return response.status;
+}
+
+function retryDelay(attempts) {
+    return RETRY_BASE_MS * Math.pow(2, attempts - 1);
+}
+
+// Send due deliveries: claim under the lock, send without it, write back
+// the outcome. A call during a run makes the run go round again.
+async function processQueue() {
+    if (!config.urls.length) return;
+    if (workerRunning) {
+        rerunRequested = true;
+        return;
+    }
+    workerRunning = true;
+    rerunRequested = false;
+
+    try {
+        const now = new Date();
+        const due = await storage.update('webhook_deliveries', deliveries => {
+            const claimed = deliveries.filter(d => d.status === 'pending' && new Date(d.next_attempt_at) <= now);
+            claimed.forEach(delivery => {
+                delivery.status = 'sending';
+                delivery.attempts += 1;
+            });
+            return claimed.map(delivery => ({ ...delivery }));
+        });
+
+        for (const delivery of due) {
+            let outcome;
+            try {
+                const status = await deliver(delivery);
+                outcome = { status: 'delivered', response_status: status, delivered_at: new Date().toISOString(), last_error: null };
+            } catch (error) {
+                const exhausted = delivery.attempts >= MAX_ATTEMPTS;
+                outcome = {
+                    status: exhausted ? 'failed' : 'pending',
+                    response_status: error.responseStatus || null,
+                    last_error: error.message,
+                    next_attempt_at: new Date(Date.now() + retryDelay(delivery.attempts)).toISOString()
+                };
+            }
+
+            await storage.update('webhook_deliveries', deliveries => {
+                const stored = deliveries.find(d => d.id === delivery.id);
+                if (stored) Object.assign(stored, outcome);
+            });
+        }
+    } catch (error) {
+        console.error('Webhook worker error:', error);
+    } finally {
+        workerRunning = false;
+        if (rerunRequested) setImmediate(processQueue);
+    }
+}
+
+// Validate configuration (failing startup when it is wrong), recover
+// deliveries interrupted mid-send and start the worker
+async function startWebhookWorker() {
+    loadWebhookConfig();
+
+    await storage.update('webhook_deliveries', deliveries => {
+        deliveries.forEach(delivery => {
+            if (delivery.status === 'sending') delivery.status = 'pending';
+        });
+        pruneDeliveries(deliveries);
+    });
+
+    setInterval(processQueue, WORKER_INTERVAL_MS);
+    setImmediate(processQueue);
+    return config;
+}
+
+// Delivery log, newest first
+async function listDeliveries({ status, event, limit } = {}) {
+    const max = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+    return (await storage.read('webhook_deliveries'))
+        .filter(d => (!status || d.status === status) && (!event || d.event === event))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .slice(0, max);
+}
+
+async function retryDelivery(id) {
+    const delivery = await storage.update('webhook_deliveries', deliveries => {
+        const delivery = deliveries.find(d => d.id === id);
+        if (!delivery) {
+            throw new ApiError('Webhook delivery not found', 404);
+        }
+        if (delivery.status !== 'failed') {
+            throw new ApiError(`Only failed deliveries can be retried (this one is ${delivery.status})`, 409);
+        }
+        delivery.status = 'pending';
+        delivery.attempts = 0;
+        delivery.next_attempt_at = new Date().toISOString();
+        return delivery;
+    });
+
+    setImmediate(processQueue);
+    return delivery;
+}
+
+function getWebhookConfig() {
+    return { urls: config.urls, events: config.events, enabled: config.urls.length > 0 };
+}
+
+module.exports = {
+    EVENTS,
+    startWebhookWorker,
+    queueWebhook,
+    queueOrderWebhooks,
+    listDeliveries,
+    retryDelivery,
+    getWebhookConfig
+};
@@ -0,0 +1,45 @@
+// Import the JSON data files into the SQLite backend.
+//
+// Usage: node scripts/migrate-to-sqlite.js [--force]
+//
+// Reads <collection>.json from the current directory and writes each
+// collection into SQLITE_FILE (default wickrama.db). Collections that already
+// have records in the database are skipped unless --force is given.
+// Afterwards start the server with STORAGE_BACKEND=sqlite.
+
+const { COLLECTIONS, createStorage } = require('../lib/storage');
+
+async function migrate() {
+    const force = process.argv.includes('--force');
+    const source = createStorage({ backend: 'json' });
+    const target = createStorage({ backend: 'sqlite', sqliteFile: process.env.SQLITE_FILE });
+
+    for (const name of COLLECTIONS) {
+        if (!source.exists(name)) {
+            console.log(`- ${name}: no ${name}.json, skipped`);
+            continue;
+        }
+
+        // Fails on a corrupt file rather than importing nothing
+        const records = await source.read(name);
+
+        const imported = await target.update(name, existing => {
+            if (existing.length > 0 && !force) return false;
+            existing.splice(0, existing.length, ...records);
+            return true;
+        });
+
+        if (imported) {
+            console.log(`✔ ${name}: imported ${records.length} records`);
+        } else {
+            console.log(`- ${name}: database already has records, skipped (use --force to replace)`);
+        }
+    }
+
+    console.log('\nDone. Start the server with STORAGE_BACKEND=sqlite to use the database.');
+}
+
+migrate().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
@@ -1,28 +1,70 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
 const multer = require('multer');
+const { hasRole, createSession, destroySession, destroyUserSessions, markPasswordChanged, destroyAllSessions, setSessionCookie, clearSessionCookie, authenticate, requirePasswordChanged, requireRole } = require('./lib/auth');
+const { storage, writeFileAtomic, replaceRecords } = require('./lib/storage');
+const { ApiError, sendError } = require('./lib/errors');
+const { nextOrderNumber } = require('./lib/orderNumbers');
+const { PAYMENT_METHODS, buildOrderItems, migrateLegacyOrderItems } = require('./lib/orderItems');
+const { nextScanStatus, transitionOrder } = require('./lib/orderStatus');
+const { currentPickupCode, verifyHandover, recordHandover, takeSignature, describeHandover } = require('./lib/handover');
+const { loadApprovalPolicy, getApprovalPolicy, requiredApprovals, currentApprovals, approvalRefusal } = require('./lib/approvalPolicy');
+const { findProduct, availableStock, createProduct, updateProduct, deleteProduct, importProducts, syncOrderStock } = require('./lib/catalog');
+const { parseCsvRecords } = require('./lib/csv');
+const { selectOrders, ordersToCsv, parseOrderImport } = require('./lib/orderCsv');
+const { editOrder, describeChange } = require('./lib/orderEdits');
+const { amountPaid, balanceDue, recordPayment, recordRefund, refundForDeletion, checkBalanceForHandover, shiftReport, closeShift } = require('./lib/payments');
+const events = require('./lib/events');
+const QRCode = require('qrcode');
+const { initTrackingSecret, trackingToken, tokenScope, trackingUrl, phoneMatches, maskPhone, MIN_PHONE_DIGITS } = require('./lib/tracking');
+const { createRateLimiter } = require('./lib/rateLimit');
+const { getTemplates, updateTemplate, notifyOrderEvent, startNotificationWorker, listOrderNotifications, retryNotification } = require('./lib/notifications');
+const { initAuditLog, appendAudit, queryAudit, verifyAuditChain, exportAuditCsv } = require('./lib/audit');
+const { buildReport, reportCsv } = require('./lib/reports');
+const { queryOrders } = require('./lib/orderQuery');
+const { requireErpKey, ingestInvoices, listInvoices, resolveInvoice, dismissInvoice } = require('./lib/erpInvoices');
+const { startWebhookWorker, queueWebhook, queueOrderWebhooks, listDeliveries, retryDelivery, getWebhookConfig } = require('./lib/webhooks');
+const { isHeadOffice, canAccessBranch, branchScope, listBranches, getBranch, resolveBranchScope, ensureBranches, createBranch, updateBranch, setBranchLogo } = require('./lib/branches');
+const { loadSettings, getSetting, listSettings, clientSettings, updateSettings } = require('./lib/settings');
+const { slotsEnabled, listSlots, bookSlot } = require('./lib/pickupSlots');
+const { refreshDueBy, isOverdue, runOverdueRules } = require('./lib/overdue');
+const { defineJob, runJob, startScheduler, listJobs, listJobRuns } = require('./lib/jobs');
+const { EXPORT_PATTERN, archivedOrderNumbers, archiveExports } = require('./lib/exportArchive');
+const { initBackups, createBackup, listBackups, saveUploadedBackup, restoreBackup, backupFile, deleteBackup } = require('./lib/backups');
+const { loadPrinterConfig, getPrinterConfig, renderPickupLabel, renderTestPage, sendToPrinter } = require('./lib/printer');
+const {
+    MAX_FAILED_LOGINS,
+    LOCKOUT_MINUTES,
+    ensureInitialAdmin,
+    authenticateStaff,
+    createStaff,
+    setStaffDisabled,
+    resetStaffPassword,
+    setStaffBranch,
+    changeOwnPassword,
+    listStaff
+} = require('./lib/staff');
 const app = express();
 
 // Configure multer for logo upload
-const storage = multer.diskStorage({
+const UPLOADS_DIR = 'public/uploads';
+const logoStorage = multer.diskStorage({
     destination: function (req, file, cb) {
-        const uploadsDir = 'public/uploads';
-        if (!fs.existsSync(uploadsDir)) {
-            fs.mkdirSync(uploadsDir, { recursive: true });
+        if (!fs.existsSync(UPLOADS_DIR)) {
+            fs.mkdirSync(UPLOADS_DIR, { recursive: true });
         }
-        cb(null, uploadsDir);
+        cb(null, UPLOADS_DIR);
     },
     filename: function (req, file, cb) {
-        // Always save as logo.png/jpg/jpeg
+        // One logo per branch: logo-<branch>.png/jpg/jpeg
         const ext = path.extname(file.originalname).toLowerCase();
-        cb(null, 'logo' + ext);
+        cb(null, `logo-${req.logoBranch.code.toLowerCase()}${ext}`);
     }
 });
 
 const upload = multer({ 
-    storage: storage,
+    storage: logoStorage,
     limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
     fileFilter: function (req, file, cb) {
         if (file.mimetype.startsWith('image/')) {
@@ -33,155 +75,304 @@ const upload = multer({
     }
 });
 
-// Middleware
-app.use(express.json());
-app.use(express.static('public'));
+// Product CSV imports are parsed in memory
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+    fileFilter: function (req, file, cb) {
+        if (/\.csv$/i.test(file.originalname) || file.mimetype === 'text/csv') {
+            cb(null, true);
+        } else {
+            cb(new Error('Only CSV files are allowed'));
+        }
+    }
+});
 
-// FIXED: Correct password hashes for the intended passwords
-const AUTH_USERS = {
-    'admin': '240be518fabd2724ddb6f04eeb1da5967448d7e831c08c8fa822809f74c720a9', // hash of 'admin123'
-    'desindu': 'f478cdd9c777b4b2e4a0d455d5b10c65da56a2a2f3c8f7b2d1c2a0f9a8e7e6f2', // hash of 'manager123' 
-    'sarath': 'c7ad44cbad762a5da0a452f9e854fdc1e0e7a52a38015f23f3eab1d80b931dd4', // hash of 'staff123'
-    'ranga': 'c91c03ea6c46a86cbc019be3d71d0a1d56c7de1f9a85b8e7c02b3b4d8e6d7f8e' // hash of 'super123'
-};
+// Uploaded backup archives are checked in memory before they are kept
+const backupUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
+    fileFilter: function (req, file, cb) {
+        if (/\.json\.gz$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only backup archives (.json.gz) are allowed'));
+        }
+    }
+});
 
-// Let's generate correct hashes using the hashPassword function
-function generateCorrectHashes() {
-    return {
-        'admin': hashPassword('admin123'),
-        'desindu': hashPassword('manager123'), 
-        'sarath': hashPassword('staff123'),
-        'ranga': hashPassword('super123')
-    };
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the client address
+// (e.g. TRUST_PROXY=1 for one proxy hop)
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
 }
 
-// Hash function
-function hashPassword(password) {
-    return crypto.createHash('sha256').update(password).digest('hex');
-}
+// Middleware. Handovers may carry a signature image, so they get a larger
+// body limit than other requests.
+app.use('/api/orders/:orderNumber/handover', express.json({ limit: '512kb' }));
+app.use(express.json());
+app.use(express.static('public'));
+app.use(authenticate);
+// Until a temporary password is changed, only logging in or out, the
+// session check and the password change itself are allowed
+app.use(requirePasswordChanged(['/api/login', '/api/logout', '/api/session', '/api/account/password']));
 
 // Login endpoint
-app.post('/api/login', (req, res) => {
+app.post('/api/login', async (req, res) => {
     const { username, password } = req.body;
-    const hashedPassword = hashPassword(password);
-    
-    // Use the generated correct hashes
-    const correctHashes = generateCorrectHashes();
+    let result;
+    try {
+        result = await authenticateStaff(username, password);
+    } catch (error) {
+        return sendError(res, error, 'Error during login');
+    }
 
-    if (correctHashes[username] === hashedPassword) {
-        const isAdmin = ['admin', 'desindu', 'ranga', 'sarath'].includes(username);
-        res.json({ success: true, username, isAdmin });
-        logAudit('USER_LOGIN', 'N/A', username, 'Login successful');
+    if (result.user) {
+        const user = { username: result.user.username, role: result.user.role, branch: result.user.branch };
+        const token = createSession({ ...user, mustChangePassword: result.user.must_change_password });
+        setSessionCookie(res, token);
+        res.json({
+            success: true,
+            username: user.username,
+            displayName: result.user.display_name,
+            role: user.role,
+            branch: user.branch,
+            headOffice: isHeadOffice(user),
+            isAdmin: hasRole(user, 'manager'),
+            mustChangePassword: !!result.user.must_change_password
+        });
+        logAudit('USER_LOGIN', 'N/A', user.username, `Login successful (${user.role})`);
     } else {
-        res.status(401).json({ success: false, error: 'Invalid credentials' });
-        logAudit('LOGIN_FAILED', 'N/A', username || 'unknown', 'Failed login attempt');
+        res.status(result.locked ? 423 : 401).json({ success: false, error: result.error });
+        logAudit('LOGIN_FAILED', 'N/A', username || 'unknown', result.locked ? 'Login attempt on locked account' : 'Failed login attempt');
+        if (result.justLocked) {
+            logAudit('ACCOUNT_LOCKED', 'N/A', username, `Locked for ${LOCKOUT_MINUTES} minutes after ${MAX_FAILED_LOGINS} failed logins`);
+        }
+    }
+});
+
+// Logout endpoint
+app.post('/api/logout', (req, res) => {
+    if (req.sessionToken) {
+        destroySession(req.sessionToken);
+        logAudit('USER_LOGOUT', 'N/A', req.user.username, 'Logout');
+    }
+    clearSessionCookie(res);
+    res.json({ success: true });
+});
+
+// Current session
+app.get('/api/session', (req, res) => {
+    if (!req.user) {
+        return res.json({ loggedIn: false });
+    }
+    res.json({
+        loggedIn: true,
+        username: req.user.username,
+        role: req.user.role,
+        branch: req.user.branch,
+        headOffice: isHeadOffice(req.user),
+        isAdmin: hasRole(req.user, 'manager'),
+        mustChangePassword: !!req.mustChangePassword
+    });
+});
+
+// Change own password
+app.post('/api/account/password', requireRole('staff'), async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        await changeOwnPassword(req.user.username, currentPassword, newPassword);
+        markPasswordChanged(req.user.username);
+        logAudit('PASSWORD_CHANGED', 'N/A', req.user.username, 'Changed own password');
+        res.json({ success: true, message: 'Password changed successfully' });
+    } catch (error) {
+        sendError(res, error, 'Error changing password');
+    }
+});
+
+// List staff accounts
+app.get('/api/staff', requireRole('manager'), async (req, res) => {
+    try {
+        res.json(await listStaff(req.user));
+    } catch (error) {
+        res.status(500).json({ error: 'Error loading staff accounts' });
+    }
+});
+
+// Create staff account
+app.post('/api/staff', requireRole('manager'), async (req, res) => {
+    try {
+        const account = await createStaff(req.body, req.user);
+        logAudit('STAFF_CREATED', 'N/A', req.user.username, `Created ${account.username} (${account.role}, ${account.branch})`);
+        res.json({ success: true, staff: account });
+    } catch (error) {
+        sendError(res, error, 'Error creating staff account');
+    }
+});
+
+// Disable or re-enable a staff account
+app.put('/api/staff/:username/disabled', requireRole('manager'), async (req, res) => {
+    try {
+        const account = await setStaffDisabled(req.params.username, req.body.disabled, req.user);
+        if (account.disabled) {
+            destroyUserSessions(account.username);
+        }
+        logAudit(account.disabled ? 'STAFF_DISABLED' : 'STAFF_ENABLED', 'N/A', req.user.username, `Account: ${account.username}`);
+        res.json({ success: true, staff: account });
+    } catch (error) {
+        sendError(res, error, 'Error updating staff account');
+    }
+});
+
+// Move a staff member to another branch; they sign in again to pick it up
+app.put('/api/staff/:username/branch', requireRole('admin'), async (req, res) => {
+    try {
+        const account = await setStaffBranch(req.params.username, req.body.branch, req.user);
+        destroyUserSessions(account.username);
+        logAudit('STAFF_BRANCH_CHANGED', 'N/A', req.user.username, `Account: ${account.username}, branch: ${account.branch}`);
+        res.json({ success: true, staff: account });
+    } catch (error) {
+        sendError(res, error, 'Error moving staff account');
+    }
+});
+
+// Reset a staff member's password
+app.post('/api/staff/:username/reset-password', requireRole('manager'), async (req, res) => {
+    try {
+        const account = await resetStaffPassword(req.params.username, req.body.newPassword, req.user);
+        destroyUserSessions(account.username);
+        logAudit('PASSWORD_RESET', 'N/A', req.user.username, `Account: ${account.username}`);
+        res.json({ success: true, message: `Password reset for ${account.username}. They must change it at next login.` });
+    } catch (error) {
+        sendError(res, error, 'Error resetting password');
     }
 });
 
 // Soft delete order (move to recycle bin)
-app.delete('/api/orders/:orderNumber', (req, res) => {
+app.delete('/api/orders/:orderNumber', requireRole('manager'), async (req, res) => {
     try {
-        const orders = getOrders();
-        const orderIndex = orders.findIndex(o => o.order_number === req.params.orderNumber);
+        // Recycle bin is written first so a crash cannot lose the order
+        const { orderToDelete, refund, recycleBinCount } = await storage.update(['deleted_orders', 'orders', 'products'], (deletedOrders, orders, products) => {
+            const orderIndex = orders.findIndex(o => o.order_number === req.params.orderNumber && canAccessBranch(req.user, o.branch));
+            
+            if (orderIndex === -1) {
+                throw new ApiError('Order not found', 404);
+            }
+            
+            const orderToDelete = orders[orderIndex];
+            const refund = refundForDeletion(orderToDelete, req.body || {}, req.user.username);
+            orders.splice(orderIndex, 1);
+            
+            // Add deletion metadata
+            orderToDelete.deleted_at = new Date().toISOString();
+            orderToDelete.deleted_by = req.user.username;
+            orderToDelete.original_status = orderToDelete.status;
+            orderToDelete.status = 'deleted';
+            
+            // Release any stock reserved for the order
+            syncOrderStock(products, orderToDelete);
+            
+            // Move to deleted orders (recycle bin)
+            deletedOrders.push(orderToDelete);
+            
+            return { orderToDelete, refund, recycleBinCount: deletedOrders.length };
+        });
         
-        if (orderIndex === -1) {
-            return res.status(404).json({ success: false, error: 'Order not found' });
+        if (refund) {
+            logAudit('REFUND_RECORDED', req.params.orderNumber, req.user.username, describePayment(refund));
+        } else if (orderToDelete.refund_waived) {
+            logAudit('REFUND_WAIVED', req.params.orderNumber, req.user.username,
+                     `Kept Rs. ${orderToDelete.refund_waived.amount.toFixed(2)} paid: ${orderToDelete.refund_waived.reason}`);
         }
-        
-        const orderToDelete = orders.splice(orderIndex, 1)[0];
-        
-        // Add deletion metadata
-        orderToDelete.deleted_at = new Date().toISOString();
-        orderToDelete.deleted_by = req.body.staffName || 'manager';
-        orderToDelete.original_status = orderToDelete.status;
-        orderToDelete.status = 'deleted';
-        
-        // Move to deleted orders (recycle bin)
-        const deletedOrders = getDeletedOrders();
-        deletedOrders.push(orderToDelete);
-        
-        // Save both files
-        saveOrders(orders);
-        saveDeletedOrders(deletedOrders);
-        
-        logAudit('ORDER_MOVED_TO_RECYCLE', req.params.orderNumber, req.body.staffName || 'manager', 
+        logAudit('ORDER_MOVED_TO_RECYCLE', req.params.orderNumber, req.user.username, 
                  `Order moved to recycle bin: ${orderToDelete.customer_name}`);
+        publishOrderEvent('order.deleted', orderToDelete, req.user.username, false);
         
         res.json({ 
             success: true, 
-            message: 'Order moved to recycle bin. It will be auto-deleted after 7 days.',
-            recycleBinCount: deletedOrders.length
+            message: `Order moved to recycle bin. It will be auto-deleted after ${getSetting('recycleBin.retentionDays')} days.`,
+            refund,
+            recycleBinCount
         });
     } catch (error) {
-        console.error('Soft delete error:', error);
-        res.status(500).json({ success: false, error: 'Server error while moving order to recycle bin' });
+        sendError(res, error, 'Server error while moving order to recycle bin');
     }
 });
 
 // Get deleted orders (recycle bin)
-app.get('/api/deleted-orders', (req, res) => {
+app.get('/api/deleted-orders', requireRole('manager'), async (req, res) => {
     try {
-        const deletedOrders = getDeletedOrders();
-        res.json(deletedOrders);
+        const branch = await resolveBranchScope(req.user, req.query.branch);
+        const deletedOrders = await getDeletedOrders();
+        res.json(deletedOrders.filter(order => !branch || order.branch === branch));
     } catch (error) {
         res.status(500).json({ error: 'Error loading deleted orders' });
     }
 });
 
 // Restore order from recycle bin
-app.post('/api/orders/:orderNumber/restore', (req, res) => {
+app.post('/api/orders/:orderNumber/restore', requireRole('manager'), async (req, res) => {
     try {
-        const deletedOrders = getDeletedOrders();
-        const orderIndex = deletedOrders.findIndex(o => o.order_number === req.params.orderNumber);
-        
-        if (orderIndex === -1) {
-            return res.status(404).json({ success: false, error: 'Order not found in recycle bin' });
-        }
-        
-        const orderToRestore = deletedOrders.splice(orderIndex, 1)[0];
-        
-        // Restore original status and remove deletion metadata
-        orderToRestore.status = orderToRestore.original_status || 'received';
-        delete orderToRestore.deleted_at;
-        delete orderToRestore.deleted_by;
-        delete orderToRestore.original_status;
-        
-        // Move back to active orders
-        const orders = getOrders();
-        orders.push(orderToRestore);
-        
-        saveOrders(orders);
-        saveDeletedOrders(deletedOrders);
+        // Active orders are written first so a crash cannot lose the order
+        const orderToRestore = await storage.update(['orders', 'deleted_orders', 'products'], (orders, deletedOrders, products) => {
+            const orderIndex = deletedOrders.findIndex(o => o.order_number === req.params.orderNumber && canAccessBranch(req.user, o.branch));
+            
+            if (orderIndex === -1) {
+                throw new ApiError('Order not found in recycle bin', 404);
+            }
+            
+            // An active order may hold the same number (e.g. legacy numbering)
+            if (orders.some(o => o.order_number === req.params.orderNumber)) {
+                throw new ApiError(`Cannot restore: an active order already uses number ${req.params.orderNumber}`, 409);
+            }
+            
+            const orderToRestore = deletedOrders.splice(orderIndex, 1)[0];
+            
+            // Restore original status and remove deletion metadata
+            orderToRestore.status = orderToRestore.original_status || 'received';
+            delete orderToRestore.deleted_at;
+            delete orderToRestore.deleted_by;
+            delete orderToRestore.original_status;
+            
+            // Re-reserve stock if the order was approved when deleted
+            syncOrderStock(products, orderToRestore);
+            
+            // Move back to active orders
+            orders.push(orderToRestore);
+            
+            return orderToRestore;
+        });
         
-        logAudit('ORDER_RESTORED', req.params.orderNumber, req.body.staffName || 'manager', 
+        logAudit('ORDER_RESTORED', req.params.orderNumber, req.user.username, 
                  `Order restored from recycle bin: ${orderToRestore.customer_name}`);
+        publishOrderEvent('order.restored', orderToRestore, req.user.username);
         
         res.json({ success: true, message: 'Order restored successfully' });
     } catch (error) {
-        console.error('Restore error:', error);
-        res.status(500).json({ success: false, error: 'Error restoring order' });
+        sendError(res, error, 'Error restoring order');
     }
 });
 
 // Permanently delete order from recycle bin
-app.delete('/api/deleted-orders/:orderNumber', (req, res) => {
+app.delete('/api/deleted-orders/:orderNumber', requireRole('manager'), async (req, res) => {
     try {
-        const deletedOrders = getDeletedOrders();
-        const orderIndex = deletedOrders.findIndex(o => o.order_number === req.params.orderNumber);
-        
-        if (orderIndex === -1) {
-            return res.status(404).json({ success: false, error: 'Order not found in recycle bin' });
-        }
-        
-        const orderToPermanentlyDelete = deletedOrders.splice(orderIndex, 1)[0];
-        
-        // Export data before permanent deletion
-        const exportFilename = exportOrderData(orderToPermanentlyDelete);
+        const { order, signature } = await storage.update(['deleted_orders', 'signatures'], (deletedOrders, signatures) => {
+            const orderIndex = deletedOrders.findIndex(o => o.order_number === req.params.orderNumber && canAccessBranch(req.user, o.branch));
+            
+            if (orderIndex === -1) {
+                throw new ApiError('Order not found in recycle bin', 404);
+            }
+            
+            const order = deletedOrders.splice(orderIndex, 1)[0];
+            return { order, signature: takeSignature(signatures, order.order_number) };
+        });
         
-        saveDeletedOrders(deletedOrders);
+        // Export the order's data once it has left the recycle bin
+        const exportFilename = exportOrderData(order, signature);
         
-        logAudit('ORDER_PERMANENTLY_DELETED', req.params.orderNumber, req.body.staffName || 'manager', 
+        logAudit('ORDER_PERMANENTLY_DELETED', req.params.orderNumber, req.user.username, 
                  `Order permanently deleted. Exported to: ${exportFilename || 'export failed'}`);
+        publishOrderEvent('order.purged', { order_number: order.order_number, branch: order.branch, status: 'purged' }, req.user.username, false);
         
         res.json({ 
             success: true, 
@@ -189,120 +380,227 @@ app.delete('/api/deleted-orders/:orderNumber', (req, res) => {
             exportedTo: exportFilename
         });
     } catch (error) {
-        console.error('Permanent delete error:', error);
-        res.status(500).json({ success: false, error: 'Error permanently deleting order' });
+        sendError(res, error, 'Error permanently deleting order');
     }
 });
 
 // Get recycle bin statistics
-app.get('/api/recycle-bin/stats', (req, res) => {
+app.get('/api/recycle-bin/stats', requireRole('staff'), async (req, res) => {
     try {
-        const deletedOrders = getDeletedOrders();
+        const branch = await resolveBranchScope(req.user, req.query.branch);
+        const deletedOrders = (await getDeletedOrders()).filter(order => !branch || order.branch === branch);
         const now = new Date();
+        const expiringDays = getSetting('recycleBin.expiringSoonDays');
         
         let expiringSoon = 0;
         deletedOrders.forEach(order => {
             const deletedAt = new Date(order.deleted_at);
             const daysOld = Math.floor((now - deletedAt) / (1000 * 60 * 60 * 24));
-            if (daysOld >= 5) expiringSoon++; // 5+ days old (expiring in 2 days)
+            if (daysOld >= expiringDays) expiringSoon++;
         });
         
         res.json({
             total: deletedOrders.length,
-            expiringSoon: expiringSoon
+            expiringSoon: expiringSoon,
+            retentionDays: getSetting('recycleBin.retentionDays'),
+            expiringSoonDays: expiringDays
         });
     } catch (error) {
         res.status(500).json({ error: 'Error loading recycle bin stats' });
     }
 });
 
+// Branch whose logo is uploaded: ?branch= for head office, otherwise the
+// uploader's own. Resolved before multer so the file can be named for it.
+async function logoBranch(req, res, next) {
+    try {
+        const code = String(req.query.branch || req.user.branch).toUpperCase();
+        if (!canAccessBranch(req.user, code)) {
+            throw new ApiError("You can only change your own branch's logo", 403);
+        }
+        req.logoBranch = await getBranch(code);
+        next();
+    } catch (error) {
+        sendError(res, error, 'Error uploading logo');
+    }
+}
+
 // Logo upload endpoint
-app.post('/api/upload-logo', upload.single('logo'), (req, res) => {
+app.post('/api/upload-logo', requireRole('manager'), logoBranch, upload.single('logo'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ success: false, error: 'No logo file provided' });
         }
         
-        const logoUrl = `/uploads/${req.file.filename}`;
-        logAudit('LOGO_UPLOADED', 'N/A', req.body.staffName || 'manager', `Logo uploaded: ${req.file.filename}`);
+        const { branch, previous } = await setBranchLogo(req.logoBranch.code, req.file.filename, req.user.username);
+        if (previous && previous !== req.file.filename) {
+            fs.unlink(path.join(UPLOADS_DIR, previous), () => {});
+        }
+        logAudit('LOGO_UPLOADED', 'N/A', req.user.username, `Logo uploaded for ${branch.code}: ${req.file.filename}`);
         
         res.json({ 
             success: true, 
-            message: 'Logo uploaded successfully',
-            logoUrl: logoUrl
+            message: `Logo uploaded for ${branch.name}`,
+            logoUrl: `/uploads/${req.file.filename}`,
+            branch: branch.code
         });
     } catch (error) {
-        console.error('Logo upload error:', error);
-        res.status(500).json({ success: false, error: 'Error uploading logo' });
+        sendError(res, error, 'Error uploading logo');
     }
 });
 
-// Get current logo
-app.get('/api/logo', (req, res) => {
+// Branch details customers may see
+function publicBranch(branch) {
+    return { code: branch.code, name: branch.name, address: branch.address, phone: branch.phone };
+}
+
+// Logo of ?branch= (default: the user's branch, else the first branch).
+// Branches without their own logo use the company logo uploaded before
+// branches existed. The branch's public details come along for the
+// tracking page.
+app.get('/api/logo', async (req, res) => {
     try {
-        const uploadsDir = 'public/uploads';
-        const logoFiles = ['logo.png', 'logo.jpg', 'logo.jpeg'];
+        const branches = await listBranches();
+        const code = String(req.query.branch || (req.user && req.user.branch) || '').toUpperCase();
+        const branch = branches.find(b => b.code === code) || branches[0];
         
-        for (const filename of logoFiles) {
-            const filepath = path.join(uploadsDir, filename);
-            if (fs.existsSync(filepath)) {
-                return res.json({ 
-                    success: true, 
-                    logoUrl: `/uploads/${filename}`,
-                    hasLogo: true
-                });
-            }
-        }
+        const candidates = [branch && branch.logo_file, 'logo.png', 'logo.jpg', 'logo.jpeg'].filter(Boolean);
+        const filename = candidates.find(name => fs.existsSync(path.join(UPLOADS_DIR, name)));
         
-        res.json({ success: true, hasLogo: false });
+        res.json({
+            success: true,
+            hasLogo: !!filename,
+            logoUrl: filename ? `/uploads/${filename}` : undefined,
+            branch: branch ? publicBranch(branch) : null
+        });
     } catch (error) {
         res.status(500).json({ error: 'Error checking logo' });
     }
 });
 
-// Customer order lookup endpoint
-app.get('/api/customer-lookup', (req, res) => {
+// Order information shown to customers: masked phone, no staff names,
+// internal reasons or approval details. The pickup code is only shown to
+// holders of the customer tracking token (see lib/tracking.js).
+function toCustomerView(order, scope = 'receipt') {
+    return {
+        order_number: order.order_number,
+        branch: order.branch,
+        customer_name: order.customer_name,
+        customer_phone: maskPhone(order.customer_phone),
+        status: order.status,
+        held_from: order.held_from,
+        payment_method: order.payment_method,
+        invoice_number: order.invoice_number,
+        created_at: order.created_at,
+        items: (order.items || []).map(({ name, qty, unit, unit_price, line_total }) => ({ name, qty, unit, unit_price, line_total })),
+        subtotal: order.subtotal,
+        discount: order.discount,
+        total: order.total,
+        amount_paid: amountPaid(order),
+        balance_due: balanceDue(order),
+        approvals: currentApprovals(order).length,
+        approvals_required: order.approvals_required || requiredApprovals(order),
+        pickup_code: scope === 'customer' ? currentPickupCode(order) : null,
+        pickup_slot: order.pickup_slot || null,
+        due_by: order.due_by || null,
+        status_history: (order.status_history || []).map(({ status, timestamp }) => ({ status, timestamp }))
+    };
+}
+
+// Push an order change to staff screens, to customers watching the order
+// and to webhook endpoints. Pass customerVisible = false when the order has
+// left the active list.
+function publishOrderEvent(type, order, staffName, customerVisible = true) {
+    events.publish({
+        type,
+        order_number: order.order_number,
+        branch: order.branch,
+        status: order.status,
+        staff: staffName,
+        timestamp: new Date().toISOString()
+    }, customerVisible ? scope => toCustomerView(order, scope) : null);
+    queueOrderWebhooks(type, order);
+}
+
+// Live order events for staff screens
+app.get('/api/events', requireRole('staff'), (req, res) => {
+    if (!events.addClient(req, res, { user: req.user, sessionToken: req.sessionToken })) {
+        res.status(503).json({ success: false, error: 'Too many live connections, try again later' });
+    }
+});
+
+// Live updates for one order, using its tracking token
+app.get('/api/track/events', (req, res) => {
+    const orderNumber = String(req.query.order || '');
+    const scope = orderNumber ? tokenScope(orderNumber, req.query.token) : null;
+    if (!scope) {
+        return res.status(403).json({ success: false, error: 'Invalid tracking token' });
+    }
+    if (!events.addClient(req, res, { orderNumber, scope })) {
+        res.status(503).json({ success: false, error: 'Too many live connections, try again later' });
+    }
+});
+
+// Customer lookups: 30 per 15 minutes per IP, locked for 15 minutes after
+// 5 failed attempts
+const lookupLimiter = createRateLimiter({
+    maxRequests: 30,
+    maxFailures: 5,
+    windowMs: 15 * 60 * 1000,
+    lockoutMs: 15 * 60 * 1000
+});
+
+// Customer order lookup: order number plus either the tracking token from
+// the receipt link or the last digits of the customer's phone
+app.get('/api/customer-lookup', async (req, res) => {
+    const limit = lookupLimiter.hit(req.ip);
+    if (!limit.allowed) {
+        res.set('Retry-After', String(limit.retryAfterSeconds));
+        return res.status(429).json({ 
+            found: false, 
+            message: `Too many lookups. Please try again in ${Math.ceil(limit.retryAfterSeconds / 60)} minutes.` 
+        });
+    }
+    
     try {
-        const query = req.query.q?.trim();
-        if (!query) {
-            return res.json({ found: false, message: 'Please provide a search query' });
-        }
+        const orderNumber = String(req.query.order || '').trim().toUpperCase();
+        const token = String(req.query.token || '').trim();
+        const phone = String(req.query.phone || '').trim();
         
-        const orders = getOrders();
+        if (!orderNumber || (!token && !phone)) {
+            return res.json({ 
+                found: false, 
+                message: `Please enter your order number and the last ${MIN_PHONE_DIGITS} digits of your phone number` 
+            });
+        }
         
-        // Search by order number or phone number
-        const matchedOrder = orders.find(order => 
-            order.order_number.toLowerCase() === query.toLowerCase() ||
-            order.customer_phone.includes(query) ||
-            order.customer_phone.replace(/\D/g, '').includes(query.replace(/\D/g, ''))
-        );
+        const orders = await getOrders();
+        const matchedOrder = orders.find(order => order.order_number.toUpperCase() === orderNumber);
+        // Staff know the phone number, so a phone lookup gets receipt scope
+        const scope = matchedOrder && (token
+            ? tokenScope(matchedOrder.order_number, token)
+            : phoneMatches(matchedOrder, phone) && 'receipt');
         
-        if (!matchedOrder) {
-            logAudit('CUSTOMER_LOOKUP_FAILED', 'N/A', 'CUSTOMER', `Failed lookup for: ${query}`);
+        if (!scope) {
+            const locked = lookupLimiter.fail(req.ip);
+            logAudit('CUSTOMER_LOOKUP_FAILED', 'N/A', 'CUSTOMER', `Failed lookup for ${orderNumber} from ${req.ip}`);
+            if (locked) {
+                logAudit('CUSTOMER_LOOKUP_LOCKED', 'N/A', 'CUSTOMER', `Lookups from ${req.ip} locked after repeated failures`);
+            }
             return res.json({ 
                 found: false, 
-                message: 'Order not found. Please check your order number or phone number.' 
+                message: 'Order not found. Please check your order number and phone number.' 
             });
         }
         
         // Log successful lookup
-        logAudit('CUSTOMER_LOOKUP_SUCCESS', matchedOrder.order_number, 'CUSTOMER', `Successful lookup: ${query}`);
+        logAudit('CUSTOMER_LOOKUP_SUCCESS', matchedOrder.order_number, 'CUSTOMER', 
+                 `Successful lookup by ${token ? 'tracking link' : 'phone'} from ${req.ip}`);
         
-        // Return order information (excluding sensitive data)
         res.json({
             found: true,
-            order: {
-                order_number: matchedOrder.order_number,
-                customer_name: matchedOrder.customer_name,
-                customer_phone: matchedOrder.customer_phone,
-                status: matchedOrder.status,
-                payment_method: matchedOrder.payment_method,
-                invoice_number: matchedOrder.invoice_number,
-                created_at: matchedOrder.created_at,
-                items: matchedOrder.items,
-                approvals: matchedOrder.approvals || [],
-                status_history: matchedOrder.status_history || []
-            }
+            order: toCustomerView(matchedOrder, scope),
+            tracking_token: trackingToken(matchedOrder.order_number, scope)
         });
     } catch (error) {
         console.error('Customer lookup error:', error);
@@ -310,10 +608,138 @@ app.get('/api/customer-lookup', (req, res) => {
     }
 });
 
+// Pickup slots with places left for ?branch= (default: the signed-in
+// user's branch, or the first branch for customers)
+app.get('/api/pickup-slots', async (req, res) => {
+    try {
+        const branch = req.query.branch || (req.user && req.user.branch) || (await listBranches())[0].code;
+        const { code } = await getBranch(branch);
+        res.json({ enabled: slotsEnabled(), branch: code, slots: await listSlots(code) });
+    } catch (error) {
+        sendError(res, error, 'Error loading pickup slots');
+    }
+});
+
+// Customers book or change their pickup slot from the tracking page
+app.post('/api/track/pickup-slot', async (req, res) => {
+    const orderNumber = String(req.body.order || '');
+    
+    try {
+        const scope = orderNumber ? tokenScope(orderNumber, req.body.token) : null;
+        if (!scope) {
+            throw new ApiError('Invalid tracking token', 403);
+        }
+        
+        const order = await storage.update('orders', orders => {
+            const order = orders.find(o => o.order_number === orderNumber);
+            if (!order) {
+                throw new ApiError('Order not found', 404);
+            }
+            bookSlot(orders, order, req.body.slot);
+            refreshDueBy(order);
+            return order;
+        });
+        
+        logAudit('PICKUP_SLOT_BOOKED', order.order_number, 'CUSTOMER', describeSlot(order));
+        publishOrderEvent('order.updated', order, 'CUSTOMER');
+        
+        res.json({ success: true, order: toCustomerView(order, scope) });
+    } catch (error) {
+        sendError(res, error, 'Error booking pickup slot');
+    }
+});
+
+// Audit detail for a pickup slot change
+function describeSlot(order) {
+    return order.pickup_slot
+        ? `Pickup slot ${order.pickup_slot.date} ${order.pickup_slot.start}-${order.pickup_slot.end}`
+        : 'Pickup slot cleared';
+}
+
+// Tracking link and QR code for the receipt. This is the receipt token,
+// which cannot show the pickup code.
+app.get('/api/orders/:orderNumber/tracking-link', requireRole('staff'), async (req, res) => {
+    try {
+        const order = (await getOrders()).find(o => o.order_number === req.params.orderNumber && canAccessBranch(req.user, o.branch));
+        if (!order) {
+            return res.status(404).json({ success: false, error: 'Order not found' });
+        }
+        
+        const url = trackingUrl(order.order_number);
+        const qrSvg = await QRCode.toString(url, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+        res.json({ success: true, url, token: trackingToken(order.order_number), qrSvg });
+    } catch (error) {
+        sendError(res, error, 'Error creating tracking link');
+    }
+});
+
+// ESC/POS pickup label for thermal printers. Without PUBLIC_BASE_URL the
+// tracking link is relative, so the QR code gets this request's origin.
+async function pickupLabelFor(req) {
+    const order = (await getOrders()).find(o => o.order_number === req.params.orderNumber && canAccessBranch(req.user, o.branch));
+    if (!order) {
+        throw new ApiError('Order not found', 404);
+    }
+    if (!order.invoice_number) {
+        throw new ApiError('Set the invoice number before printing the label', 409);
+    }
+    
+    let url = trackingUrl(order.order_number);
+    if (url.startsWith('/')) url = `${req.protocol}://${req.get('host')}${url}`;
+    const branch = await getBranch(order.branch);
+    return { order, data: renderPickupLabel(order, { trackingUrl: url, branch }) };
+}
+
+app.get('/api/printer', requireRole('staff'), (req, res) => {
+    const { host, port, paperWidth } = getPrinterConfig();
+    res.json({ configured: Boolean(host), host, port, paperWidth });
+});
+
+// Send the label to the network printer
+app.post('/api/orders/:orderNumber/print', requireRole('staff'), async (req, res) => {
+    try {
+        const { order, data } = await pickupLabelFor(req);
+        const result = await sendToPrinter(data);
+        
+        logAudit('LABEL_PRINTED', order.order_number, req.user.username, `${result.bytes} bytes to ${result.host}:${result.port}`);
+        res.json({ success: true, message: `Label for ${order.order_number} sent to printer`, bytes: result.bytes });
+    } catch (error) {
+        sendError(res, error, 'Error printing label');
+    }
+});
+
+// Raw label for printing from another machine (e.g. copy /b label.bin to a USB printer)
+app.get('/api/orders/:orderNumber/label.bin', requireRole('staff'), async (req, res) => {
+    try {
+        const { order, data } = await pickupLabelFor(req);
+        
+        logAudit('LABEL_DOWNLOADED', order.order_number, req.user.username, `${data.length} bytes`);
+        res.set({
+            'Content-Type': 'application/octet-stream',
+            'Content-Disposition': `attachment; filename="label-${order.order_number}.bin"`
+        });
+        res.send(data);
+    } catch (error) {
+        sendError(res, error, 'Error rendering label');
+    }
+});
+
+app.post('/api/printer/test', requireRole('manager'), async (req, res) => {
+    try {
+        const branch = await getBranch(branchScope(req.user, req.query.branch) || req.user.branch);
+        const result = await sendToPrinter(renderTestPage(branch));
+        
+        logAudit('PRINTER_TEST', 'N/A', req.user.username, `${result.host}:${result.port}`);
+        res.json({ success: true, message: `Test page sent to ${result.host}:${result.port}` });
+    } catch (error) {
+        sendError(res, error, 'Error printing test page');
+    }
+});
+
 // Get unique customers for auto-complete
-app.get('/api/customers', (req, res) => {
+app.get('/api/customers', requireRole('staff'), async (req, res) => {
     try {
-        const orders = getOrders();
+        const orders = await getOrders();
         const customers = {};
         
         orders.forEach(order => {
@@ -343,328 +769,1470 @@ app.get('/api/customers', (req, res) => {
     }
 });
 
-// Data storage files
-const ORDERS_FILE = 'orders.json';
-const DELETED_ORDERS_FILE = 'deleted_orders.json';
-const AUDIT_LOG = 'audit_log.csv';
-const EXPORTS_DIR = 'exports';
-
-// Initialize data files
-function initializeFiles() {
-    if (!fs.existsSync(ORDERS_FILE)) {
-        fs.writeFileSync(ORDERS_FILE, JSON.stringify([]));
-    }
-    if (!fs.existsSync(DELETED_ORDERS_FILE)) {
-        fs.writeFileSync(DELETED_ORDERS_FILE, JSON.stringify([]));
-    }
-    if (!fs.existsSync(AUDIT_LOG)) {
-        fs.writeFileSync(AUDIT_LOG, 'timestamp,action,order_id,staff_name,details\n');
-    }
-    if (!fs.existsSync(EXPORTS_DIR)) {
-        fs.mkdirSync(EXPORTS_DIR);
-    }
-}
-
-// Generate unique order number (format: WHS-001)
-function generateOrderNumber() {
-    const orders = getOrders();
-    const sequence = orders.length + 1;
-    const paddedSequence = String(sequence).padStart(3, '0');
-    return `WHS-${paddedSequence}`;
+// Product catalog with stock levels, also used for item auto-complete
+function withAvailability(product) {
+    return { ...product, available: availableStock(product) };
 }
 
-// Load orders from file
-function getOrders() {
+app.get('/api/products', requireRole('staff'), async (req, res) => {
     try {
-        const data = fs.readFileSync(ORDERS_FILE, 'utf8');
-        return JSON.parse(data);
+        const query = String(req.query.q || '').trim().toLowerCase();
+        const products = (await storage.read('products'))
+            .filter(p => !query || p.sku.toLowerCase().includes(query) || p.name.toLowerCase().includes(query))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(withAvailability);
+        
+        res.json(products);
     } catch (error) {
-        return [];
+        sendError(res, error, 'Error loading products');
     }
-}
-
-// Save orders to file
-function saveOrders(orders) {
-    fs.writeFileSync(ORDERS_FILE, JSON.stringify(orders, null, 2));
-}
+});
 
-// Load deleted orders from file (recycle bin)
-function getDeletedOrders() {
+app.get('/api/products/:sku', requireRole('staff'), async (req, res) => {
     try {
-        const data = fs.readFileSync(DELETED_ORDERS_FILE, 'utf8');
-        return JSON.parse(data);
+        const product = findProduct(await storage.read('products'), req.params.sku);
+        
+        if (!product) {
+            return res.status(404).json({ success: false, error: 'Product not found' });
+        }
+        
+        res.json(withAvailability(product));
     } catch (error) {
-        return [];
+        sendError(res, error, 'Error loading product');
     }
-}
-
-// Save deleted orders to file
-function saveDeletedOrders(deletedOrders) {
-    fs.writeFileSync(DELETED_ORDERS_FILE, JSON.stringify(deletedOrders, null, 2));
-}
+});
 
-// Export order data before permanent deletion
-function exportOrderData(order) {
+app.post('/api/products', requireRole('manager'), async (req, res) => {
     try {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const filename = `order-${order.order_number}-${timestamp}.json`;
-        const filepath = path.join(EXPORTS_DIR, filename);
+        const product = await storage.update('products', products => createProduct(products, req.body || {}));
         
-        const exportData = {
-            ...order,
-            exported_at: new Date().toISOString(),
-            export_reason: 'permanent_deletion'
-        };
+        logAudit('PRODUCT_CREATED', 'N/A', req.user.username, 
+                 `Product ${product.sku} created: ${product.name}, on hand ${product.on_hand}`);
         
-        fs.writeFileSync(filepath, JSON.stringify(exportData, null, 2));
-        return filename;
+        res.json({ success: true, product: withAvailability(product) });
     } catch (error) {
-        console.error('Export error:', error);
-        return null;
+        sendError(res, error, 'Error creating product');
     }
-}
-
-// Log audit trail
-function logAudit(action, orderId, staffName, details = '') {
-    const timestamp = new Date().toISOString();
-    const logEntry = `${timestamp},${action},${orderId},${staffName},"${details}"\n`;
-    fs.appendFileSync(AUDIT_LOG, logEntry);
-}
+});
 
-// Auto cleanup deleted orders older than 7 days
-function autoCleanupDeletedOrders() {
+app.put('/api/products/:sku', requireRole('manager'), async (req, res) => {
     try {
-        const deletedOrders = getDeletedOrders();
-        const sevenDaysAgo = new Date();
-        sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+        const product = await storage.update('products', products => updateProduct(products, req.params.sku, req.body || {}));
         
-        const toKeep = [];
-        let cleanedCount = 0;
-        
-        deletedOrders.forEach(order => {
-            const deletedAt = new Date(order.deleted_at);
-            
-            if (deletedAt > sevenDaysAgo) {
-                toKeep.push(order);
-            } else {
-                // Export before permanent deletion
-                exportOrderData(order);
-                cleanedCount++;
-                logAudit('AUTO_CLEANUP', order.order_number, 'SYSTEM', '7-day auto cleanup');
-            }
-        });
+        logAudit('PRODUCT_UPDATED', 'N/A', req.user.username, 
+                 `Product ${product.sku} updated: ${product.name}, price ${product.price}, on hand ${product.on_hand}`);
         
-        if (cleanedCount > 0) {
-            saveDeletedOrders(toKeep);
-            console.log(`Auto-cleaned ${cleanedCount} orders from recycle bin`);
-        }
+        res.json({ success: true, product: withAvailability(product) });
     } catch (error) {
-        console.error('Auto cleanup error:', error);
+        sendError(res, error, 'Error updating product');
     }
-}
+});
+
+app.delete('/api/products/:sku', requireRole('manager'), async (req, res) => {
+    try {
+        const product = await storage.update('products', products => deleteProduct(products, req.params.sku));
+        
+        logAudit('PRODUCT_DELETED', 'N/A', req.user.username, `Product ${product.sku} deleted: ${product.name}`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Error deleting product');
+    }
+});
+
+// CSV import with columns sku, name, unit, price, on_hand. Existing SKUs are updated.
+app.post('/api/products/import', requireRole('manager'), csvUpload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No CSV file provided' });
+        }
+        
+        const records = parseCsvRecords(req.file.buffer.toString('utf8'));
+        if (records.length > 0 && !('sku' in records[0] && 'name' in records[0])) {
+            throw new ApiError('CSV must have a header row with at least sku and name columns');
+        }
+        
+        const result = await storage.update('products', products => importProducts(products, records));
+        
+        logAudit('PRODUCTS_IMPORTED', 'N/A', req.user.username, 
+                 `Catalog import: ${result.created} created, ${result.updated} updated, ${result.errors.length} rejected`);
+        
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Error importing products');
+    }
+});
+
+// Order CSV import, e.g. legacy paper orders; columns as in the order
+// export (see lib/orderCsv.js). Orders go to the user's branch, or the
+// ?branch= one for head office. ?dryRun=true checks the file only.
+app.post('/api/orders/import', requireRole('manager'), csvUpload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No CSV file provided' });
+        }
+        const dryRun = req.query.dryRun === 'true';
+        const records = parseCsvRecords(req.file.buffer.toString('utf8'));
+        const branch = await getBranch(isHeadOffice(req.user) && req.query.branch ? req.query.branch : req.user.branch);
+        
+        const checkRecords = (orders, deletedOrders) => {
+            const known = getExportedOrderNumbers();
+            [...orders, ...deletedOrders].forEach(o => {
+                known.add(o.order_number);
+                if (o.imported_reference) known.add(o.imported_reference);
+            });
+            
+            const { orders: imported, skipped, errors } = parseOrderImport(records, {
+                known,
+                branch: branch.code,
+                staffName: req.user.username
+            });
+            return { imported, skipped, errors };
+        };
+        
+        // A dry run only reads, so it leaves the collections untouched
+        const result = dryRun
+            ? checkRecords(...await storage.snapshot(['orders', 'deleted_orders']))
+            : await storage.update(['counters', 'deleted_orders', 'orders'], (counters, deletedOrders, orders) => {
+                const result = checkRecords(orders, deletedOrders);
+                result.imported.forEach(order => {
+                    order.order_number = generateOrderNumber(counters, orders, deletedOrders, branch);
+                    orders.push(order);
+                });
+                return result;
+            });
+        
+        if (!dryRun) {
+            result.imported.forEach(order => {
+                logAudit('ORDER_IMPORTED', order.order_number, req.user.username, `Imported as ${order.status} from reference ${order.imported_reference}`);
+            });
+            logAudit('ORDERS_IMPORTED', 'N/A', req.user.username,
+                     `Order import: ${result.imported.length} created, ${result.skipped.length} already known, ${result.errors.length} rejected`);
+        }
+        
+        res.json({
+            success: true,
+            dryRun,
+            created: result.imported.length,
+            orders: result.imported.map(order => ({
+                order_number: order.order_number || null,
+                reference: order.imported_reference,
+                status: order.status,
+                total: order.total
+            })),
+            skipped: result.skipped,
+            errors: result.errors
+        });
+    } catch (error) {
+        sendError(res, error, 'Error importing orders');
+    }
+});
+
+// Data storage files
+const EXPORTS_DIR = 'exports';
+
+// Initialize data files
+function initializeFiles() {
+    storage.init();
+    if (!fs.existsSync(EXPORTS_DIR)) {
+        fs.mkdirSync(EXPORTS_DIR);
+    }
+}
+
+// Order numbers of orders exported on permanent deletion, taken from the
+// export filenames (order-<number>-<timestamp>.json) and the export archive
+function getExportedOrderNumbers() {
+    const numbers = archivedOrderNumbers(EXPORTS_DIR);
+    if (!fs.existsSync(EXPORTS_DIR)) return numbers;
+    
+    fs.readdirSync(EXPORTS_DIR).forEach(filename => {
+        const match = filename.match(EXPORT_PATTERN);
+        if (match) numbers.add(match[1]);
+    });
+    return numbers;
+}
+
+// Generate a unique order number for a branch (default format:
+// <prefix>-YYYYMMDD-NNN). Numbers in active orders, the recycle bin and
+// exports are never reused.
+function generateOrderNumber(counters, orders, deletedOrders, branch) {
+    const takenNumbers = getExportedOrderNumbers();
+    orders.forEach(o => takenNumbers.add(o.order_number));
+    deletedOrders.forEach(o => takenNumbers.add(o.order_number));
+    
+    return nextOrderNumber(counters, takenNumbers, branch);
+}
+
+// Load orders
+function getOrders() {
+    return storage.read('orders');
+}
+
+// Load deleted orders (recycle bin)
+function getDeletedOrders() {
+    return storage.read('deleted_orders');
+}
+
+// Export order data before permanent deletion
+function exportOrderData(order, signature = null) {
+    try {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const filename = `order-${order.order_number}-${timestamp}.json`;
+        const filepath = path.join(EXPORTS_DIR, filename);
+        
+        const exportData = {
+            ...order,
+            signature: signature ? signature.image : undefined,
+            exported_at: new Date().toISOString(),
+            export_reason: 'permanent_deletion'
+        };
+        
+        writeFileAtomic(filepath, JSON.stringify(exportData, null, 2));
+        return filename;
+    } catch (error) {
+        console.error('Export error:', error);
+        return null;
+    }
+}
+
+// Log audit trail
+function logAudit(action, orderId, staffName, details = '') {
+    appendAudit(action, orderId, staffName, details);
+}
+
+// Convert orders still holding the legacy "2x hammer, 1x nails" items string
+async function migrateLegacyItems() {
+    const migrated = await storage.update(['deleted_orders', 'orders'], (deletedOrders, orders) => {
+        return [...orders, ...deletedOrders].filter(migrateLegacyOrderItems).length;
+    });
+    
+    if (migrated > 0) {
+        console.log(`Converted ${migrated} orders to structured line items`);
+        logAudit('ITEMS_MIGRATED', 'N/A', 'SYSTEM', `${migrated} orders converted to structured line items`);
+    }
+}
+
+// Auto cleanup deleted orders older than the retention setting
+async function autoCleanupDeletedOrders() {
+    const retentionDays = getSetting('recycleBin.retentionDays');
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - retentionDays);
+    
+    // Orders leave the recycle bin under the lock; they are exported and
+    // logged once the update has been written
+    const purged = await storage.update(['deleted_orders', 'signatures'], (deletedOrders, signatures) => {
+        const toKeep = [];
+        const purged = [];
+        
+        deletedOrders.forEach(order => {
+            const deletedAt = new Date(order.deleted_at);
+            
+            if (deletedAt > cutoff) {
+                toKeep.push(order);
+            } else {
+                purged.push({ order, signature: takeSignature(signatures, order.order_number) });
+            }
+        });
+        
+        replaceRecords(deletedOrders, toKeep);
+        return purged;
+    });
+    
+    purged.forEach(({ order, signature }) => {
+        const exportFilename = exportOrderData(order, signature);
+        logAudit('AUTO_CLEANUP', order.order_number, 'SYSTEM', `${retentionDays}-day auto cleanup. Exported to: ${exportFilename || 'export failed'}`);
+    });
+    
+    const cleanedCount = purged.length;
+    if (cleanedCount > 0) {
+        console.log(`Auto-cleaned ${cleanedCount} orders from recycle bin`);
+    }
+    return { deleted: cleanedCount };
+}
+
+// Pickup reminders and restocking flags for orders left in ready; see
+// lib/overdue.js
+async function checkOverduePickups() {
+    const { remind, restock } = await runOverdueRules();
+    
+    for (const order of remind) {
+        logAudit('OVERDUE_REMINDER', order.order_number, 'SYSTEM', `Ready since ${order.ready_at}, due by ${order.due_by}`);
+        await notifyOrderEvent(order, 'overdue');
+    }
+    restock.forEach(order => {
+        logAudit('RESTOCK_FLAGGED', order.order_number, 'SYSTEM', `Uncollected since ${order.ready_at}`);
+        publishOrderEvent('order.updated', order, 'SYSTEM');
+    });
+    
+    if (remind.length || restock.length) {
+        console.log(`Overdue pickups: ${remind.length} reminders queued, ${restock.length} orders flagged for restocking`);
+    }
+    return { reminded: remind.length, restock_flagged: restock.length };
+}
+
+// Compress order exports older than the archive setting
+async function archiveOldExports() {
+    const { archived, archive } = archiveExports(EXPORTS_DIR, getSetting('exports.archiveAfterDays'));
+    if (archived > 0) {
+        logAudit('EXPORTS_ARCHIVED', 'N/A', 'SYSTEM', `${archived} order exports moved to ${archive}`);
+    }
+    return { archived };
+}
+
+defineJob('recycle-bin-cleanup', {
+    description: 'Export and permanently delete orders past the recycle bin retention',
+    setting: 'schedules.recycleBinCleanup',
+    run: autoCleanupDeletedOrders
+});
+defineJob('export-archiving', {
+    description: 'Compress old order exports into the exports archive',
+    setting: 'schedules.exportArchive',
+    run: archiveOldExports
+});
+defineJob('backups', {
+    description: 'Take a full backup and remove the oldest scheduled backups',
+    setting: 'schedules.backup',
+    run: async () => {
+        const backup = await createBackup('scheduled', 'SYSTEM');
+        logAudit('BACKUP_CREATED', 'N/A', 'SYSTEM', `${backup.name} (sha256 ${backup.checksum})`);
+        return { backed_up: 1 };
+    }
+});
+defineJob('overdue-reminders', {
+    description: 'Send pickup reminders and flag uncollected orders for restocking',
+    setting: 'schedules.overdueReminders',
+    run: checkOverduePickups
+});
 
 // Create new order
-app.post('/api/orders', (req, res) => {
-    const { customerName, customerPhone, items, paymentMethod, staffName } = req.body;
+app.post('/api/orders', requireRole('staff'), async (req, res) => {
+    const { paymentMethod, discount } = req.body;
+    const customerName = String(req.body.customerName || '').trim();
+    const customerPhone = String(req.body.customerPhone || '').trim();
+    const customerEmail = String(req.body.customerEmail || '').trim();
+    const staffName = req.user.username;
     
-    const orderNumber = generateOrderNumber();
-    const newOrder = {
-        order_number: orderNumber,
-        customer_name: customerName,
-        customer_phone: customerPhone,
-        items: items,
-        payment_method: paymentMethod,
-        invoice_number: '', // To be filled later from ERP
-        status: 'received',
-        created_at: new Date().toISOString(),
-        created_by: staffName,
-        approvals: [],
-        status_history: [{
-            status: 'received',
-            timestamp: new Date().toISOString(),
-            staff: staffName
-        }]
-    };
+    try {
+        if (!customerName || !customerPhone) {
+            throw new ApiError('Customer name and phone are required');
+        }
+        if (customerEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(customerEmail)) {
+            throw new ApiError('Customer email address is not valid');
+        }
+        if (!PAYMENT_METHODS.includes(paymentMethod)) {
+            throw new ApiError(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+        }
+        const { items, subtotal, discount: discountAmount, total } = buildOrderItems(req.body.items, discount);
+        
+        // Orders belong to the staff member's branch; head office picks one
+        const branch = await getBranch(isHeadOffice(req.user) && req.body.branch ? req.body.branch : req.user.branch);
+        
+        const order = await storage.update(['counters', 'deleted_orders', 'orders'], (counters, deletedOrders, orders) => {
+            const order = {
+                order_number: generateOrderNumber(counters, orders, deletedOrders, branch),
+                branch: branch.code,
+                customer_name: customerName,
+                customer_phone: customerPhone,
+                customer_email: customerEmail,
+                items: items,
+                subtotal: subtotal,
+                discount: discountAmount,
+                total: total,
+                payment_method: paymentMethod,
+                invoice_number: '', // To be filled later from ERP
+                status: 'received',
+                created_at: new Date().toISOString(),
+                created_by: staffName,
+                approvals: [],
+                approvals_required: requiredApprovals({ total, payment_method: paymentMethod }),
+                status_history: [{
+                    status: 'received',
+                    timestamp: new Date().toISOString(),
+                    staff: staffName
+                }],
+                payments: []
+            };
+            bookSlot(orders, order, req.body.pickupSlot);
+            // A deposit or full payment taken with the order
+            if (req.body.payment && req.body.payment.amount) {
+                recordPayment(order, req.body.payment, staffName);
+            }
+            orders.push(order);
+            return order;
+        });
+        
+        logAudit('ORDER_CREATED', order.order_number, staffName, 
+                 `Customer: ${customerName}${order.pickup_slot ? `, ${describeSlot(order)}` : ''}`);
+        order.payments.forEach(payment => logAudit('PAYMENT_RECORDED', order.order_number, staffName, describePayment(payment)));
+        publishOrderEvent('order.created', order, staffName);
+        
+        res.json({ success: true, order_number: order.order_number });
+    } catch (error) {
+        sendError(res, error, 'Error creating order');
+    }
+});
+
+// Order list and search queries, limited to the branches the user may see
+async function scopedOrderQuery(req) {
+    const branch = await resolveBranchScope(req.user, req.query.branch);
+    return { ...req.query, branch: branch || '' };
+}
+
+// Paged order list; see lib/orderQuery.js for filters and sorting
+app.get('/api/orders', requireRole('staff'), async (req, res) => {
+    try {
+        res.json(await queryOrders(await scopedOrderQuery(req)));
+    } catch (error) {
+        sendError(res, error, 'Error loading orders');
+    }
+});
+
+// Get single order
+app.get('/api/orders/:orderNumber', requireRole('staff'), async (req, res) => {
+    try {
+        const orders = await getOrders();
+        const order = orders.find(o => o.order_number === req.params.orderNumber && canAccessBranch(req.user, o.branch));
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        res.json(order);
+    } catch (error) {
+        sendError(res, error, 'Error loading order');
+    }
+});
+
+// Correct customer details, items, discount or payment method; see
+// lib/orderEdits.js. An optional reason is kept with the revision.
+app.patch('/api/orders/:orderNumber', requireRole('staff'), async (req, res) => {
+    const { reason, ...fields } = req.body || {};
+    
+    try {
+        const { order, revision } = await storage.update(['orders', 'products'], (orders, products) => {
+            const order = orders.find(o => o.order_number === req.params.orderNumber && canAccessBranch(req.user, o.branch));
+            if (!order) {
+                throw new ApiError('Order not found', 404);
+            }
+            
+            const revision = editOrder(order, fields, { user: req.user, products, reason });
+            return { order, revision };
+        });
+        
+        if (!revision) {
+            return res.json({ success: true, message: 'No changes', order });
+        }
+        
+        logAudit('ORDER_EDITED', order.order_number, req.user.username,
+                 `${revision.changes.map(describeChange).join('; ')}${revision.reason ? ` (reason: ${revision.reason})` : ''}`);
+        publishOrderEvent('order.updated', order, req.user.username);
+        
+        res.json({ success: true, message: `${revision.changes.length} field(s) changed`, revision, order });
+    } catch (error) {
+        sendError(res, error, 'Error editing order');
+    }
+});
+
+// Update order status. Transitions are validated against the order lifecycle.
+app.put('/api/orders/:orderNumber/status', requireRole('staff'), async (req, res) => {
+    const { status, invoiceNumber, reason } = req.body;
+    const staffName = req.user.username;
     
-    const orders = getOrders();
-    orders.push(newOrder);
-    saveOrders(orders);
+    try {
+        if (status === 'rejected') {
+            throw new ApiError('Use the reject action to reject an order', 409);
+        }
+        
+        const { previousStatus, order } = await storage.update(['orders', 'products'], (orders, products) => {
+            const order = orders.find(o => o.order_number === req.params.orderNumber && canAccessBranch(req.user, o.branch));
+            
+            if (!order) {
+                throw new ApiError('Order not found', 404);
+            }
+            
+            if (invoiceNumber) {
+                order.invoice_number = String(invoiceNumber).trim();
+            }
+            
+            const previousStatus = order.status;
+            transitionOrder(order, status, { staff: staffName, reason });
+            syncOrderStock(products, order);
+            
+            return { previousStatus, order };
+        });
+        
+        logAudit('STATUS_UPDATE', req.params.orderNumber, staffName, 
+                 `Status: ${previousStatus} -> ${status}${reason ? ` (${String(reason).trim()})` : ''}`);
+        publishOrderEvent('order.status', order, staffName);
+        const notification = await notifyOrderEvent(order, status, staffName);
+        
+        res.json({ success: true, notification: notification && notification.status });
+    } catch (error) {
+        sendError(res, error, 'Error updating status');
+    }
+});
+
+// Scan station: a scanned label barcode (the order number) or tracking QR
+// code moves the order one step through packing. Scanning a ready order
+// brings up the handover instead.
+function scannedOrderNumber(code) {
+    const text = String(code || '').trim();
+    const fromUrl = text.match(/[?&]order=([^&#\s]+)/);
+    return (fromUrl ? decodeURIComponent(fromUrl[1]) : text).toUpperCase();
+}
+
+app.post('/api/scan', requireRole('staff'), async (req, res) => {
+    const staffName = req.user.username;
+    const orderNumber = scannedOrderNumber(req.body.code);
     
-    logAudit('ORDER_CREATED', orderNumber, staffName, `Customer: ${customerName}`);
+    try {
+        if (!orderNumber) {
+            throw new ApiError('Nothing was scanned');
+        }
+        
+        const { previousStatus, order, handover } = await storage.update(['orders', 'products'], (orders, products) => {
+            const order = orders.find(o => o.order_number === orderNumber && canAccessBranch(req.user, o.branch));
+            
+            if (!order) {
+                throw new ApiError(`Order ${orderNumber} not found`, 404);
+            }
+            
+            if (order.status === 'ready') {
+                return { handover: order };
+            }
+            
+            const previousStatus = order.status;
+            transitionOrder(order, nextScanStatus(order), { staff: staffName, via: 'scan' });
+            syncOrderStock(products, order);
+            
+            return { previousStatus, order };
+        });
+        
+        if (handover) {
+            return res.json({
+                success: false,
+                handover: true,
+                error: 'Order is ready: hand it over with the pickup code',
+                order: { order_number: handover.order_number, customer_name: handover.customer_name }
+            });
+        }
+        
+        logAudit('ORDER_SCANNED', order.order_number, staffName, `Status: ${previousStatus} -> ${order.status}`);
+        publishOrderEvent('order.status', order, staffName);
+        const notification = await notifyOrderEvent(order, order.status, staffName);
+        
+        res.json({
+            success: true,
+            previousStatus,
+            status: order.status,
+            order: {
+                order_number: order.order_number,
+                customer_name: order.customer_name,
+                invoice_number: order.invoice_number,
+                payment_method: order.payment_method,
+                items: order.items,
+                total: order.total
+            },
+            notification: notification && notification.status
+        });
+    } catch (error) {
+        if (error instanceof ApiError && orderNumber) {
+            logAudit('SCAN_REJECTED', orderNumber, staffName, error.message);
+        }
+        sendError(res, error, 'Error processing scan');
+    }
+});
+
+// Hand a ready order over to the customer or their proxy. Needs the pickup
+// code, or a supervisor override after an ID check; completes the order.
+app.post('/api/orders/:orderNumber/handover', requireRole('staff'), async (req, res) => {
+    const staffName = req.user.username;
     
-    res.json({ success: true, order_number: orderNumber });
+    try {
+        const result = await storage.update(['orders', 'products', 'signatures'], (orders, products, signatures) => {
+            const order = orders.find(o => o.order_number === req.params.orderNumber && canAccessBranch(req.user, o.branch));
+            
+            if (!order) {
+                throw new ApiError('Order not found', 404);
+            }
+            
+            const balanceOverride = order.status === 'ready' ? checkBalanceForHandover(order, req.body, req.user) : null;
+            
+            // A wrong code is written back (it counts towards the limit)
+            const verified = verifyHandover(order, req.body, req.user);
+            if (verified.refused) {
+                return { refused: verified.refused };
+            }
+            
+            transitionOrder(order, 'completed', { staff: staffName, via: 'handover' });
+            recordHandover(order, verified.handover, verified.signature, signatures);
+            if (balanceOverride) order.balance_override = balanceOverride;
+            syncOrderStock(products, order);
+            
+            return { order };
+        });
+        
+        if (result.refused) {
+            logAudit('PICKUP_CODE_REJECTED', req.params.orderNumber, staffName, result.refused);
+            throw new ApiError(result.refused, 403);
+        }
+        
+        const { order } = result;
+        logAudit(order.handover.verified_by === 'supervisor' ? 'HANDOVER_OVERRIDE' : 'ORDER_HANDED_OVER',
+                 order.order_number, staffName, describeHandover(order.handover));
+        if (order.balance_override) {
+            logAudit('BALANCE_OVERRIDE', order.order_number, staffName,
+                     `Handed over with Rs. ${order.balance_override.balance.toFixed(2)} due: ${order.balance_override.reason}`);
+        }
+        publishOrderEvent('order.status', order, staffName);
+        const notification = await notifyOrderEvent(order, order.status, staffName);
+        
+        res.json({ success: true, handover: order.handover, notification: notification && notification.status });
+    } catch (error) {
+        sendError(res, error, 'Error handing over order');
+    }
+});
+
+// One line for the audit log
+function describePayment(payment) {
+    const what = payment.type === 'refund' ? 'Refund' : 'Payment';
+    return `${what} Rs. ${payment.amount.toFixed(2)} by ${payment.method}${payment.reference ? ` (ref ${payment.reference})` : ''}${payment.reason ? `: ${payment.reason}` : ''}`;
+}
+
+// Take a payment towards an order: { amount, method, reference }; see
+// lib/payments.js
+app.post('/api/orders/:orderNumber/payments', requireRole('staff'), async (req, res) => {
+    try {
+        const { order, payment } = await storage.update('orders', orders => {
+            const order = orders.find(o => o.order_number === req.params.orderNumber && canAccessBranch(req.user, o.branch));
+            if (!order) {
+                throw new ApiError('Order not found', 404);
+            }
+            return { order, payment: recordPayment(order, req.body, req.user.username) };
+        });
+        
+        logAudit('PAYMENT_RECORDED', order.order_number, req.user.username, describePayment(payment));
+        publishOrderEvent('order.updated', order, req.user.username);
+        
+        res.json({ success: true, payment, amount_paid: amountPaid(order), balance_due: balanceDue(order) });
+    } catch (error) {
+        sendError(res, error, 'Error recording payment');
+    }
+});
+
+// Give money back: { amount, method, reference, reason }
+app.post('/api/orders/:orderNumber/refunds', requireRole('supervisor'), async (req, res) => {
+    try {
+        const { order, refund } = await storage.update('orders', orders => {
+            const order = orders.find(o => o.order_number === req.params.orderNumber && canAccessBranch(req.user, o.branch));
+            if (!order) {
+                throw new ApiError('Order not found', 404);
+            }
+            return { order, refund: recordRefund(order, req.body, req.user.username) };
+        });
+        
+        logAudit('REFUND_RECORDED', order.order_number, req.user.username, describePayment(refund));
+        publishOrderEvent('order.updated', order, req.user.username);
+        
+        res.json({ success: true, refund, amount_paid: amountPaid(order), balance_due: balanceDue(order) });
+    } catch (error) {
+        sendError(res, error, 'Error recording refund');
+    }
+});
+
+// Book, change or clear (empty slot) an order's pickup slot
+app.put('/api/orders/:orderNumber/pickup-slot', requireRole('staff'), async (req, res) => {
+    const staffName = req.user.username;
+    
+    try {
+        const order = await storage.update('orders', orders => {
+            const order = orders.find(o => o.order_number === req.params.orderNumber && canAccessBranch(req.user, o.branch));
+            
+            if (!order) {
+                throw new ApiError('Order not found', 404);
+            }
+            
+            bookSlot(orders, order, req.body.slot);
+            refreshDueBy(order);
+            return order;
+        });
+        
+        logAudit('PICKUP_SLOT_BOOKED', order.order_number, staffName, describeSlot(order));
+        publishOrderEvent('order.updated', order, staffName);
+        
+        res.json({ success: true, pickup_slot: order.pickup_slot || null, due_by: order.due_by || null });
+    } catch (error) {
+        sendError(res, error, 'Error booking pickup slot');
+    }
+});
+
+// Signature captured at handover, as a PNG image
+app.get('/api/orders/:orderNumber/signature', requireRole('staff'), async (req, res) => {
+    try {
+        const order = (await getOrders()).find(o => o.order_number === req.params.orderNumber && canAccessBranch(req.user, o.branch));
+        const signature = order && (await storage.read('signatures')).find(s => s.order_number === order.order_number);
+        if (!signature) {
+            throw new ApiError('Signature not found', 404);
+        }
+        
+        res.set('Content-Type', 'image/png');
+        res.set('Cache-Control', 'private, no-store');
+        res.send(Buffer.from(signature.image.split(',')[1], 'base64'));
+    } catch (error) {
+        sendError(res, error, 'Error loading signature');
+    }
+});
+
+// Set the ERP invoice number without changing status
+app.put('/api/orders/:orderNumber/invoice', requireRole('supervisor'), async (req, res) => {
+    const invoiceNumber = String(req.body.invoiceNumber || '').trim();
+    
+    try {
+        if (!invoiceNumber) {
+            throw new ApiError('Invoice number is required');
+        }
+        
+        const order = await storage.update('orders', orders => {
+            const order = orders.find(o => o.order_number === req.params.orderNumber && canAccessBranch(req.user, o.branch));
+            
+            if (!order) {
+                throw new ApiError('Order not found', 404);
+            }
+            if (order.status === 'completed' || order.status === 'cancelled') {
+                throw new ApiError(`Cannot change the invoice number of a ${order.status} order`, 409);
+            }
+            
+            order.invoice_number = invoiceNumber;
+            return order;
+        });
+        
+        logAudit('INVOICE_SET', req.params.orderNumber, req.user.username, `Invoice: ${invoiceNumber}`);
+        publishOrderEvent('order.updated', order, req.user.username);
+        
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Error updating invoice number');
+    }
+});
+
+// ERP invoices. The ERP authenticates with ERP_API_KEY and may post one
+// invoice, an array, or { invoices: [...] }.
+const MAX_INVOICE_BATCH = 500;
+
+// Audit and announce invoice numbers filled in from ERP invoices
+function recordInvoiceMatches(orders, staffName, source) {
+    orders.forEach(order => {
+        logAudit('INVOICE_MATCHED', order.order_number, staffName, `Invoice: ${order.invoice_number} (${source})`);
+        publishOrderEvent('order.updated', order, staffName);
+    });
+}
+
+app.post('/api/erp/invoices', requireErpKey, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const invoices = Array.isArray(body) ? body : Array.isArray(body.invoices) ? body.invoices : [body];
+        if (invoices.length > MAX_INVOICE_BATCH) {
+            throw new ApiError(`Send at most ${MAX_INVOICE_BATCH} invoices per request`, 413);
+        }
+        
+        const result = await ingestInvoices(invoices, { source: 'api', user: null });
+        recordInvoiceMatches(result.matched, 'ERP', 'ERP push');
+        logAudit('ERP_INVOICES_RECEIVED', 'N/A', 'ERP',
+                 `${result.results.length} received, ${result.matched.length} matched, ${result.errors.length} rejected`);
+        
+        res.status(result.errors.length && !result.results.length ? 400 : 200)
+            .json({ success: result.errors.length === 0, results: result.results, errors: result.errors });
+    } catch (error) {
+        sendError(res, error, 'Error receiving invoices');
+    }
+});
+
+// CSV export from the ERP: invoice_number, order_number, customer_phone,
+// customer_name, amount, date
+app.post('/api/erp/invoices/import', requireRole('supervisor'), csvUpload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No CSV file provided' });
+        }
+        
+        const records = parseCsvRecords(req.file.buffer.toString('utf8'));
+        if (records.length > 0 && !('invoice_number' in records[0])) {
+            throw new ApiError('CSV must have a header row with at least an invoice_number column');
+        }
+        
+        const result = await ingestInvoices(records, { source: 'csv', user: req.user });
+        recordInvoiceMatches(result.matched, req.user.username, 'CSV import');
+        logAudit('ERP_INVOICES_IMPORTED', 'N/A', req.user.username,
+                 `${result.results.length} received, ${result.matched.length} matched, ${result.errors.length} rejected`);
+        
+        res.json({
+            success: true,
+            received: result.results.filter(r => !r.duplicate).length,
+            duplicates: result.results.filter(r => r.duplicate).length,
+            matched: result.matched.length,
+            review: result.results.filter(r => !r.duplicate && r.status !== 'matched').length,
+            errors: result.errors
+        });
+    } catch (error) {
+        sendError(res, error, 'Error importing invoices');
+    }
+});
+
+// Invoice queue; ?status=review|unmatched|matched|dismissed&branch=
+app.get('/api/erp/invoices', requireRole('supervisor'), async (req, res) => {
+    try {
+        const branch = await resolveBranchScope(req.user, req.query.branch);
+        res.json(await listInvoices({ status: req.query.status, branch }));
+    } catch (error) {
+        sendError(res, error, 'Error loading invoices');
+    }
+});
+
+app.post('/api/erp/invoices/:id/match', requireRole('supervisor'), async (req, res) => {
+    try {
+        const { invoice, order } = await resolveInvoice(req.params.id, req.body.orderNumber, req.user);
+        recordInvoiceMatches([order], req.user.username, 'review queue');
+        
+        res.json({ success: true, invoice });
+    } catch (error) {
+        sendError(res, error, 'Error matching invoice');
+    }
+});
+
+app.post('/api/erp/invoices/:id/dismiss', requireRole('supervisor'), async (req, res) => {
+    try {
+        const invoice = await dismissInvoice(req.params.id, req.body.reason, req.user);
+        logAudit('ERP_INVOICE_DISMISSED', 'N/A', req.user.username, `Invoice ${invoice.invoice_number}: ${invoice.note}`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Error dismissing invoice');
+    }
+});
+
+// Outbound webhook configuration and delivery log; ?status=&event=
+app.get('/api/webhooks', requireRole('manager'), async (req, res) => {
+    try {
+        res.json({ ...getWebhookConfig(), deliveries: await listDeliveries(req.query) });
+    } catch (error) {
+        sendError(res, error, 'Error loading webhook deliveries');
+    }
 });
 
-// Get all orders
-app.get('/api/orders', (req, res) => {
-    const orders = getOrders();
-    res.json(orders);
+app.post('/api/webhooks/deliveries/:id/retry', requireRole('manager'), async (req, res) => {
+    try {
+        const delivery = await retryDelivery(req.params.id);
+        logAudit('WEBHOOK_RETRIED', 'N/A', req.user.username, `${delivery.event} to ${delivery.url}`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Error retrying webhook');
+    }
 });
 
-// Get single order
-app.get('/api/orders/:orderNumber', (req, res) => {
-    const orders = getOrders();
-    const order = orders.find(o => o.order_number === req.params.orderNumber);
-    if (!order) {
-        return res.status(404).json({ error: 'Order not found' });
+app.post('/api/webhooks/test', requireRole('manager'), async (req, res) => {
+    try {
+        if (!getWebhookConfig().enabled) {
+            throw new ApiError('No webhook endpoints configured (set WEBHOOK_URLS)', 503);
+        }
+        const queued = await queueWebhook('webhook.test', { message: 'Test event', sent_by: req.user.username });
+        
+        res.json({ success: true, message: `Test event queued for ${queued} endpoint(s)` });
+    } catch (error) {
+        sendError(res, error, 'Error sending test webhook');
     }
-    res.json(order);
 });
 
-// Update order status
-app.put('/api/orders/:orderNumber/status', (req, res) => {
-    const { status, staffName, invoiceNumber } = req.body;
-    const orders = getOrders();
-    const orderIndex = orders.findIndex(o => o.order_number === req.params.orderNumber);
-    
-    if (orderIndex === -1) {
-        return res.status(404).json({ error: 'Order not found' });
+// Settings (admin only). Changes are audited one entry per setting.
+app.get('/api/settings', requireRole('admin'), async (req, res) => {
+    try {
+        res.json(await listSettings());
+    } catch (error) {
+        sendError(res, error, 'Error loading settings');
     }
-    
-    const order = orders[orderIndex];
-    order.status = status;
-    
-    if (invoiceNumber) {
-        order.invoice_number = invoiceNumber;
+});
+
+app.put('/api/settings', requireRole('admin'), async (req, res) => {
+    try {
+        const changes = await updateSettings(req.body, req.user.username);
+        changes.forEach(({ key, from, to }) => {
+            logAudit('SETTING_CHANGED', 'N/A', req.user.username, `${key}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+        });
+        
+        res.json({
+            success: true,
+            message: changes.length ? `${changes.length} setting(s) saved` : 'No changes',
+            changes,
+            settings: await listSettings()
+        });
+    } catch (error) {
+        sendError(res, error, 'Error saving settings');
     }
-    
-    // Add to status history
-    order.status_history.push({
-        status: status,
-        timestamp: new Date().toISOString(),
-        staff: staffName
-    });
-    
-    orders[orderIndex] = order;
-    saveOrders(orders);
-    
-    logAudit('STATUS_UPDATE', req.params.orderNumber, staffName, `Status: ${status}`);
-    
-    res.json({ success: true });
 });
 
-// Add approval
-app.put('/api/orders/:orderNumber/approve', (req, res) => {
-    const { staffName } = req.body;
-    const orders = getOrders();
-    const orderIndex = orders.findIndex(o => o.order_number === req.params.orderNumber);
-    
-    if (orderIndex === -1) {
-        return res.status(404).json({ error: 'Order not found' });
+// Settings the staff screens use (WhatsApp links, labels, recycle bin)
+app.get('/api/settings/client', requireRole('staff'), (req, res) => {
+    res.json(clientSettings());
+});
+
+// Scheduled jobs (admin only); see lib/jobs.js
+app.get('/api/jobs', requireRole('admin'), async (req, res) => {
+    try {
+        res.json(await listJobs());
+    } catch (error) {
+        sendError(res, error, 'Error loading jobs');
     }
-    
-    const order = orders[orderIndex];
-    
-    // Check if staff already approved
-    if (order.approvals.find(a => a.staff === staffName)) {
-        return res.status(400).json({ error: 'Staff member already approved this order' });
+});
+
+app.get('/api/jobs/:name/runs', requireRole('admin'), async (req, res) => {
+    try {
+        res.json(await listJobRuns(req.params.name, req.query.limit));
+    } catch (error) {
+        sendError(res, error, 'Error loading job runs');
     }
-    
-    order.approvals.push({
-        staff: staffName,
-        timestamp: new Date().toISOString()
-    });
-    
-    // Auto-update status if 3 approvals reached
-    if (order.approvals.length >= 3 && order.status === 'received') {
-        order.status = 'approved';
-        order.status_history.push({
-            status: 'approved',
-            timestamp: new Date().toISOString(),
-            staff: 'SYSTEM'
+});
+
+// Run a job now; responds when the run has finished
+app.post('/api/jobs/:name/run', requireRole('admin'), async (req, res) => {
+    try {
+        const run = await runJob(req.params.name, 'manual', req.user.username);
+        logAudit('JOB_RUN', 'N/A', req.user.username, `${run.job}: ${run.status}${run.error ? ` (${run.error})` : ''}`);
+        
+        res.json({ success: run.status === 'success', run, error: run.error || undefined });
+    } catch (error) {
+        sendError(res, error, 'Error running job');
+    }
+});
+
+// Backups (admin only); see lib/backups.js
+app.get('/api/backups', requireRole('admin'), async (req, res) => {
+    try {
+        res.json(await listBackups());
+    } catch (error) {
+        sendError(res, error, 'Error loading backups');
+    }
+});
+
+app.post('/api/backups', requireRole('admin'), async (req, res) => {
+    try {
+        const backup = await createBackup('manual', req.user.username);
+        logAudit('BACKUP_CREATED', 'N/A', req.user.username, `${backup.name} (sha256 ${backup.checksum})`);
+        
+        res.json({ success: true, backup });
+    } catch (error) {
+        sendError(res, error, 'Error creating backup');
+    }
+});
+
+app.get('/api/backups/:name/download', requireRole('admin'), (req, res) => {
+    try {
+        const file = backupFile(req.params.name);
+        logAudit('BACKUP_DOWNLOADED', 'N/A', req.user.username, req.params.name);
+        res.download(path.resolve(file), req.params.name);
+    } catch (error) {
+        sendError(res, error, 'Error downloading backup');
+    }
+});
+
+// Keep a backup archive from elsewhere (e.g. another server) so it can be restored
+app.post('/api/backups/upload', requireRole('admin'), backupUpload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No backup file provided' });
+        }
+        const backup = await saveUploadedBackup(req.file.buffer);
+        logAudit('BACKUP_UPLOADED', 'N/A', req.user.username, `${req.file.originalname} saved as ${backup.name} (sha256 ${backup.checksum})`);
+        
+        res.json({ success: true, backup });
+    } catch (error) {
+        sendError(res, error, 'Error uploading backup');
+    }
+});
+
+// Restore a backup, or with { dryRun: true } only show what would change.
+// A restore signs everyone out, since the staff list may have changed.
+app.post('/api/backups/:name/restore', requireRole('admin'), async (req, res) => {
+    try {
+        const dryRun = req.body.dryRun === true;
+        const result = await restoreBackup(req.params.name, { dryRun, staffName: req.user.username });
+        
+        if (!dryRun) {
+            await loadSettings();
+            await initTrackingSecret();
+            logAudit('BACKUP_RESTORED', 'N/A', req.user.username,
+                     `${req.params.name} restored; previous data saved as ${result.safetyBackup}`);
+            destroyAllSessions();
+            clearSessionCookie(res);
+        }
+        
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Error restoring backup');
+    }
+});
+
+app.delete('/api/backups/:name', requireRole('admin'), async (req, res) => {
+    try {
+        await deleteBackup(req.params.name);
+        logAudit('BACKUP_DELETED', 'N/A', req.user.username, req.params.name);
+        
+        res.json({ success: true, message: 'Backup deleted' });
+    } catch (error) {
+        sendError(res, error, 'Error deleting backup');
+    }
+});
+
+// Shift close for cash reconciliation. Staff see and close their own
+// shift; supervisors also those of other staff (?staff=), counting the
+// orders in their branches.
+function shiftStaff(req) {
+    const staff = String(req.query.staff || req.body.staff || req.user.username).trim();
+    if (staff !== req.user.username && !hasRole(req.user, 'supervisor')) {
+        throw new ApiError("Only a supervisor can see another staff member's shift", 403);
+    }
+    return staff;
+}
+
+function scopedShiftReport(req, orders, deletedOrders, closes) {
+    const visible = [...orders, ...deletedOrders].filter(o => canAccessBranch(req.user, o.branch));
+    return shiftReport(visible, closes, shiftStaff(req));
+}
+
+app.get('/api/shift', requireRole('staff'), async (req, res) => {
+    try {
+        const [orders, deletedOrders, closes] = await storage.snapshot(['orders', 'deleted_orders', 'shift_closes']);
+        res.json(scopedShiftReport(req, orders, deletedOrders, closes));
+    } catch (error) {
+        sendError(res, error, 'Error loading shift');
+    }
+});
+
+// Branch of a staff member's account, which their shift closes belong to
+function staffBranch(accounts, username) {
+    const account = accounts.find(a => a.username === username);
+    return account ? account.branch : null;
+}
+
+// Close the shift: { countedCash, note } (and staff, for a supervisor)
+app.post('/api/shift/close', requireRole('staff'), async (req, res) => {
+    try {
+        const accounts = await storage.read('staff');
+        const close = await storage.update(['orders', 'deleted_orders', 'shift_closes'], (orders, deletedOrders, closes) => {
+            const report = scopedShiftReport(req, orders, deletedOrders, closes);
+            return closeShift(closes, report, req.body, req.user.username, staffBranch(accounts, report.staff));
         });
+        
+        logAudit('SHIFT_CLOSED', 'N/A', req.user.username,
+                 `Shift of ${close.staff}: cash Rs. ${close.totals.cash.net.toFixed(2)}, card Rs. ${close.totals.card.net.toFixed(2)}, transfer Rs. ${close.totals.transfer.net.toFixed(2)}; counted cash Rs. ${close.counted_cash.toFixed(2)} (difference Rs. ${close.cash_difference.toFixed(2)})`);
+        
+        res.json({ success: true, close });
+    } catch (error) {
+        sendError(res, error, 'Error closing shift');
     }
-    
-    orders[orderIndex] = order;
-    saveOrders(orders);
-    
-    logAudit('APPROVAL_ADDED', req.params.orderNumber, staffName, `Approval ${order.approvals.length}/3`);
-    
-    res.json({ success: true, approvals: order.approvals.length });
 });
 
-// Search orders
-app.get('/api/search', (req, res) => {
-    const { q, status } = req.query;
-    let orders = getOrders();
-    
-    if (q) {
-        orders = orders.filter(order => 
-            order.customer_name.toLowerCase().includes(q.toLowerCase()) ||
-            order.order_number.toLowerCase().includes(q.toLowerCase()) ||
-            order.customer_phone.includes(q)
-        );
+// Closed shifts, newest first (?staff= to pick one staff member). Closes
+// are scoped by the branch of the staff member whose shift it was; only
+// head office can see every branch (?branch= to pick one).
+app.get('/api/shift-closes', requireRole('supervisor'), async (req, res) => {
+    try {
+        const staff = String(req.query.staff || '').trim();
+        const branch = await resolveBranchScope(req.user, req.query.branch);
+        const [closes, accounts] = await storage.snapshot(['shift_closes', 'staff']);
+        res.json(closes
+            .filter(c => !staff || c.staff === staff)
+            .filter(c => !branch || (c.branch || staffBranch(accounts, c.staff)) === branch)
+            .reverse()
+            .slice(0, 100));
+    } catch (error) {
+        sendError(res, error, 'Error loading shift closes');
     }
+});
+
+// Approval policy, so the UI can show who may approve
+app.get('/api/approval-policy', requireRole('staff'), (req, res) => {
+    res.json(getApprovalPolicy());
+});
+
+// Add approval. Who may approve and how many approvals are needed come
+// from the approval policy.
+app.put('/api/orders/:orderNumber/approve', requireRole('staff'), async (req, res) => {
+    const staffName = req.user.username;
     
-    if (status && status !== 'all') {
-        orders = orders.filter(order => order.status === status);
+    try {
+        const { order, approvals, required } = await storage.update(['orders', 'products'], (orders, products) => {
+            const order = orders.find(o => o.order_number === req.params.orderNumber && canAccessBranch(req.user, o.branch));
+            
+            if (!order) {
+                throw new ApiError('Order not found', 404);
+            }
+            
+            const refusal = approvalRefusal(req.user, order, 'approved');
+            if (refusal) {
+                throw new ApiError(refusal, 403);
+            }
+            
+            if (order.status !== 'received') {
+                throw new ApiError(`Only received orders can be approved (order is ${order.status})`, 409);
+            }
+            
+            // Check if staff already approved since the last rejection
+            if (currentApprovals(order).find(a => a.staff === staffName)) {
+                throw new ApiError('Staff member already approved this order');
+            }
+            
+            order.approvals.push({
+                staff: staffName,
+                decision: 'approved',
+                timestamp: new Date().toISOString()
+            });
+            order.approvals_required = requiredApprovals(order);
+            
+            // Auto-update status once enough approvals are in
+            const approvals = currentApprovals(order).length;
+            if (approvals >= order.approvals_required) {
+                transitionOrder(order, 'approved', { staff: 'SYSTEM' });
+                syncOrderStock(products, order);
+            }
+            
+            return { order, approvals, required: order.approvals_required };
+        });
+        
+        logAudit('APPROVAL_ADDED', req.params.orderNumber, staffName, `Approval ${approvals}/${required}`);
+        publishOrderEvent(order.status === 'approved' ? 'order.status' : 'order.approval', order, staffName);
+        if (order.status === 'approved') {
+            await notifyOrderEvent(order, 'approved', staffName);
+        }
+        
+        res.json({ success: true, approvals, required });
+    } catch (error) {
+        sendError(res, error, 'Error adding approval');
     }
+});
+
+// Reject an order awaiting approval. Approvals given so far stop counting;
+// a reopened order needs a fresh set.
+app.put('/api/orders/:orderNumber/reject', requireRole('staff'), async (req, res) => {
+    const staffName = req.user.username;
+    const reason = String(req.body.reason || '').trim();
     
-    res.json(orders);
+    try {
+        if (!reason) {
+            throw new ApiError('A reason is required to reject an order');
+        }
+        
+        const order = await storage.update(['orders', 'products'], (orders, products) => {
+            const order = orders.find(o => o.order_number === req.params.orderNumber && canAccessBranch(req.user, o.branch));
+            
+            if (!order) {
+                throw new ApiError('Order not found', 404);
+            }
+            
+            const refusal = approvalRefusal(req.user, order, 'rejected');
+            if (refusal) {
+                throw new ApiError(refusal, 403);
+            }
+            
+            if (order.status !== 'received') {
+                throw new ApiError(`Only received orders can be rejected (order is ${order.status})`, 409);
+            }
+            
+            transitionOrder(order, 'rejected', { staff: staffName, reason });
+            syncOrderStock(products, order);
+            
+            order.approvals.push({
+                staff: staffName,
+                decision: 'rejected',
+                reason,
+                timestamp: new Date().toISOString()
+            });
+            return order;
+        });
+        
+        logAudit('ORDER_REJECTED', req.params.orderNumber, staffName, `Rejected: ${reason}`);
+        publishOrderEvent('order.status', order, staffName);
+        await notifyOrderEvent(order, 'rejected', staffName);
+        
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Error rejecting order');
+    }
+});
+
+// Notification delivery log for one order
+app.get('/api/orders/:orderNumber/notifications', requireRole('staff'), async (req, res) => {
+    try {
+        const order = (await getOrders()).find(o => o.order_number === req.params.orderNumber && canAccessBranch(req.user, o.branch));
+        if (!order) {
+            throw new ApiError('Order not found', 404);
+        }
+        res.json(await listOrderNotifications(order));
+    } catch (error) {
+        sendError(res, error, 'Error loading notifications');
+    }
+});
+
+// Send a failed notification again
+app.post('/api/notifications/:id/retry', requireRole('staff'), async (req, res) => {
+    try {
+        const job = await retryNotification(req.params.id);
+        
+        logAudit('NOTIFICATION_RETRIED', job.order_number, req.user.username, `${job.event} via ${job.provider} to ${job.recipient}`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Error retrying notification');
+    }
+});
+
+// Customer message templates
+app.get('/api/notification-templates', requireRole('manager'), async (req, res) => {
+    try {
+        res.json(await getTemplates());
+    } catch (error) {
+        sendError(res, error, 'Error loading message templates');
+    }
+});
+
+app.put('/api/notification-templates/:event', requireRole('manager'), async (req, res) => {
+    try {
+        const template = await updateTemplate(req.params.event, req.body || {}, req.user.username);
+        
+        logAudit('TEMPLATE_UPDATED', 'N/A', req.user.username, 
+                 `Message template ${template.event} ${template.enabled ? 'enabled' : 'disabled'}`);
+        
+        res.json({ success: true, template });
+    } catch (error) {
+        sendError(res, error, 'Error saving message template');
+    }
+});
+
+// Search orders: same as the order list; q matches order, invoice, name or phone
+app.get('/api/search', requireRole('staff'), async (req, res) => {
+    try {
+        res.json(await queryOrders(await scopedOrderQuery(req)));
+    } catch (error) {
+        sendError(res, error, 'Error searching orders');
+    }
 });
 
 // Export audit log
-app.get('/api/export/audit', (req, res) => {
+// Audit log: ?from=&to= (dates or timestamps), action, order, staff,
+// page and limit; the export takes the same filters
+app.get('/api/audit', requireRole('manager'), (req, res) => {
+    try {
+        res.json(queryAudit(req.query));
+    } catch (error) {
+        sendError(res, error, 'Error reading audit log');
+    }
+});
+
+// Check the hash chain for edited, removed or reordered entries
+app.get('/api/audit/verify', requireRole('manager'), (req, res) => {
+    try {
+        const result = verifyAuditChain();
+        if (!result.valid) {
+            console.error(`⚠️ Audit log verification failed at line ${result.line}: ${result.reason}`);
+        }
+        res.json(result);
+    } catch (error) {
+        sendError(res, error, 'Error verifying audit log');
+    }
+});
+
+app.get('/api/export/audit', requireRole('manager'), (req, res) => {
     try {
-        const auditData = fs.readFileSync(AUDIT_LOG, 'utf8');
+        const csv = exportAuditCsv(req.query);
         res.setHeader('Content-Type', 'text/csv');
         res.setHeader('Content-Disposition', 'attachment; filename=audit_log.csv');
-        res.send(auditData);
+        res.send(csv);
     } catch (error) {
-        res.status(500).json({ error: 'Failed to export audit log' });
+        sendError(res, error, 'Failed to export audit log');
     }
 });
 
-// Dashboard stats
-app.get('/api/stats', (req, res) => {
-    const orders = getOrders();
-    const stats = {
+// Order counts by status for the dashboard
+function orderStats(orders) {
+    return {
         total: orders.length,
         received: orders.filter(o => o.status === 'received').length,
         approved: orders.filter(o => o.status === 'approved').length,
         packed: orders.filter(o => o.status === 'packed').length,
         ready: orders.filter(o => o.status === 'ready').length,
         completed: orders.filter(o => o.status === 'completed').length,
+        onHold: orders.filter(o => o.status === 'on-hold').length,
+        cancelled: orders.filter(o => o.status === 'cancelled').length,
+        overdue: orders.filter(o => isOverdue(o)).length,
+        restock: orders.filter(o => o.status === 'ready' && o.restock_flagged_at).length,
         today: orders.filter(o => {
             const today = new Date().toISOString().slice(0,10);
             return o.created_at.slice(0,10) === today;
         }).length
     };
-    res.json(stats);
+}
+
+// Dashboard stats for ?branch= (staff always get their own branch). Across
+// all branches the head office view adds a row per branch.
+app.get('/api/stats', requireRole('staff'), async (req, res) => {
+    try {
+        const branch = await resolveBranchScope(req.user, req.query.branch);
+        const orders = await getOrders();
+        
+        if (branch) {
+            return res.json({ branch, ...orderStats(orders.filter(o => o.branch === branch)) });
+        }
+        
+        const branches = await listBranches();
+        res.json({
+            branch: null,
+            ...orderStats(orders),
+            branches: branches.map(b => ({
+                code: b.code,
+                name: b.name,
+                ...orderStats(orders.filter(o => o.branch === b.code))
+            }))
+        });
+    } catch (error) {
+        sendError(res, error, 'Error loading stats');
+    }
 });
 
-// Initialize files and start server
-initializeFiles();
+// Orders a report covers: one branch, or all for head office
+async function reportOrders(req) {
+    const branch = await resolveBranchScope(req.user, req.query.branch);
+    return (await getOrders()).filter(order => !branch || order.branch === branch);
+}
+
+// Orders as CSV, one row per item, for accounting spreadsheets. Filters:
+// from/to, status and branch; see lib/orderCsv.js
+app.get('/api/export/orders', requireRole('manager'), async (req, res) => {
+    try {
+        const orders = selectOrders(await reportOrders(req), req.query);
+        logAudit('ORDERS_EXPORTED', 'N/A', req.user.username,
+                 `${orders.length} orders${req.query.from || req.query.to ? ` created ${req.query.from || '...'} to ${req.query.to || '...'}` : ''}`);
+        
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', 'attachment; filename=orders.csv');
+        res.send(ordersToCsv(orders));
+    } catch (error) {
+        sendError(res, error, 'Error exporting orders');
+    }
+});
+
+// Operational reports over ?from=&to= (dates or timestamps, default all time)
+app.get('/api/reports', requireRole('manager'), async (req, res) => {
+    try {
+        res.json(buildReport(await reportOrders(req), req.query));
+    } catch (error) {
+        sendError(res, error, 'Error building report');
+    }
+});
 
-// Run auto-cleanup on startup
-autoCleanupDeletedOrders();
+// One section as CSV: stages, staff, payments, uncollected or daily
+app.get('/api/reports/:section.csv', requireRole('manager'), async (req, res) => {
+    try {
+        const csv = reportCsv(await reportOrders(req), req.params.section, req.query);
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename=report-${req.params.section}.csv`);
+        res.send(csv);
+    } catch (error) {
+        sendError(res, error, 'Error exporting report');
+    }
+});
+
+// Branches: everyone signed in can list them (for labels and pickers);
+// head office adds branches, managers edit their own
+app.get('/api/branches', requireRole('staff'), async (req, res) => {
+    try {
+        res.json(await listBranches());
+    } catch (error) {
+        sendError(res, error, 'Error loading branches');
+    }
+});
+
+app.post('/api/branches', requireRole('admin'), async (req, res) => {
+    try {
+        const branch = await createBranch(req.body, req.user.username);
+        logAudit('BRANCH_CREATED', 'N/A', req.user.username, `${branch.code}: ${branch.name} (prefix ${branch.order_prefix})`);
+        res.json({ success: true, branch });
+    } catch (error) {
+        sendError(res, error, 'Error creating branch');
+    }
+});
 
-// Schedule auto-cleanup to run daily at 2 AM
-setInterval(() => {
-    const now = new Date();
-    if (now.getHours() === 2 && now.getMinutes() === 0) {
-        autoCleanupDeletedOrders();
+app.put('/api/branches/:code', requireRole('manager'), async (req, res) => {
+    try {
+        const branch = await updateBranch(req.params.code, req.body, req.user);
+        logAudit('BRANCH_UPDATED', 'N/A', req.user.username, `${branch.code}: ${Object.keys(req.body).join(', ')}`);
+        res.json({ success: true, branch });
+    } catch (error) {
+        sendError(res, error, 'Error updating branch');
     }
-}, 60000); // Check every minute
+});
 
 // Serve track.html when user visits /track
 app.get('/track', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'track.html'));
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`🚀 Wickrama Hardware Pickup System running on http://localhost:${PORT}`);
-    console.log(`📁 Data files: ${ORDERS_FILE}, ${DELETED_ORDERS_FILE}, ${AUDIT_LOG}`);
-    console.log(`📦 Exports directory: ${EXPORTS_DIR}`);
-    console.log(`🗑️ Auto-cleanup: Orders in recycle bin are permanently deleted after 7 days`);
+// Initialize files and start server
+async function startServer() {
+    initializeFiles();
+    const audit = initAuditLog();
+    await initTrackingSecret();
+    const settings = await loadSettings();
+    
+    const { policy, file: policyFile } = loadApprovalPolicy();
+    const printer = loadPrinterConfig();
+    const notifier = await startNotificationWorker();
+    const webhooks = await startWebhookWorker();
+    
+    // First run: create the default branch and assign existing records to it
+    const { defaultBranch, created: branchCreated, assigned } = await ensureBranches();
+    if (branchCreated || assigned) {
+        logAudit('BRANCHES_MIGRATED', 'N/A', 'SYSTEM', `${assigned} records assigned to branch ${defaultBranch.code}`);
+    }
+    
+    // First run: create the initial admin account
+    const initialAdmin = await ensureInitialAdmin(defaultBranch.code);
+    if (initialAdmin) {
+        logAudit('STAFF_CREATED', 'N/A', 'SYSTEM', `Initial admin account: ${initialAdmin.username}`);
+    }
     
-    // ADDED: Display the correct login credentials
-    console.log('\n🔐 Login Credentials:');
-    console.log('admin / admin123');
-    console.log('desindu / manager123');
-    console.log('sarath / staff123');
-    console.log('ranga / super123');
+    await migrateLegacyItems();
+    
+    const backups = initBackups({ uploadsDir: UPLOADS_DIR });
+    
+    // Catch up jobs missed while the server was down, then run on schedule
+    const scheduler = await startScheduler();
+    
+    const PORT = process.env.PORT || 3000;
+    app.listen(PORT, () => {
+        console.log(`🚀 Wickrama Hardware Pickup System running on http://localhost:${PORT}`);
+        console.log(`🏬 Default branch: ${defaultBranch.code} (${defaultBranch.name})${assigned ? `, ${assigned} records assigned to it` : ''}`);
+        console.log(`📁 Storage backend: ${storage.backend}, audit log: ${audit.file}${audit.imported ? ` (${audit.imported} entries imported from audit_log.csv)` : ''}`);
+        console.log(`📦 Exports directory: ${EXPORTS_DIR}`);
+        console.log(`🗑️ Auto-cleanup: Orders in recycle bin are permanently deleted after ${getSetting('recycleBin.retentionDays')} days`);
+        console.log(`💾 Backups: ${backups.dir}, ${getSetting('schedules.backup') ? `scheduled ${getSetting('schedules.backup')}, newest ${getSetting('backups.keep')} kept` : 'no scheduled backups'}`);
+        console.log(`🕑 Jobs: ${scheduler.jobs.map(job => `${job.name} (${job.schedule || 'off'})`).join(', ')}`);
+        console.log(`⏰ Pickups: ${slotsEnabled() ? `slots ${getSetting('pickupSlots.windows')}, ${getSetting('pickupSlots.capacity')} per slot` : 'no slots'}; reminders ${getSetting('overdue.reminderDays') ? `after ${getSetting('overdue.reminderDays')} days` : 'off'}, restock flag ${getSetting('overdue.restockDays') ? `after ${getSetting('overdue.restockDays')} days` : 'off'}`);
+        console.log(`⚙️ Settings: ${settings.changed ? `${settings.changed} changed from defaults` : 'defaults'}`);
+        console.log(`📨 Customer notifications: ${notifier.name} provider`);
+        console.log(`🖨️ Label printer: ${printer.host ? `${printer.host}:${printer.port}` : 'not configured (download only)'}, ${printer.paperWidth}mm paper`);
+        console.log(`🔗 Webhooks: ${webhooks.urls.length ? `${webhooks.urls.length} endpoint(s), events ${webhooks.events.join(', ')}` : 'off'}; ERP invoice API: ${process.env.ERP_API_KEY ? 'on' : 'off (set ERP_API_KEY)'}`);
+        console.log(`✅ Approval policy: ${policyFile || 'defaults'} (${policy.defaultRequired} approvals by default, ${policy.rules.length} rules)`);
+        
+        if (initialAdmin && initialAdmin.password) {
+            console.log('\n🔐 Initial admin account created (shown once, change it after first login):');
+            console.log(`${initialAdmin.username} / ${initialAdmin.password}`);
+        } else if (initialAdmin) {
+            console.log(`\n🔐 Initial admin account created: ${initialAdmin.username} (password from ADMIN_PASSWORD)`);
+        }
+    });
+}
+
+// A data file that cannot be read stops startup instead of being overwritten
+startServer().catch(error => {
+    console.error('❌ Startup failed:', error.message);
+    process.exit(1);
 });
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+// Start the server in a fresh data directory seeded with `collections`
+// ({ name: records }). Resolves to { baseUrl, dir, stop }.
+async function startServer(collections = {}, env = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wickrama-test-'));
+    Object.entries(collections).forEach(([name, records]) => {
+        fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(records));
+    });
+
+    const port = 20000 + Math.floor(Math.random() * 20000);
+    const child = spawn(process.execPath, [SERVER], {
+        cwd: dir,
+        env: { ...process.env, PORT: String(port), ADMIN_PASSWORD: 'admin-pass-1', TRACKING_SECRET: 'test-secret', APPROVAL_POLICY_FILE: 'none', ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    await new Promise((resolve, reject) => {
+        let output = '';
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 15000);
+        const onData = chunk => {
+            output += chunk;
+            if (output.includes('running on')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with ${code}:\n${output}`));
+        });
+    });
+
+    return {
+        baseUrl: `http://localhost:${port}`,
+        dir,
+        stop() {
+            child.removeAllListeners('exit');
+            child.kill();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+// Log in and return the session cookie
+async function login(baseUrl, username, password) {
+    const response = await fetch(`${baseUrl}/api/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    const result = await response.json();
+    if (!result.success) throw new Error(`Login failed: ${result.error}`);
+    return response.headers.get('set-cookie').split(';')[0];
+}
+
+module.exports = {
+    startServer,
+    login
+};
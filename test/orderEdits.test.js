@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { editOrder } = require('../lib/orderEdits');
+
+const SUPERVISOR = { username: 'sup', role: 'supervisor', branch: 'MAIN' };
+
+function paidOrder(payments) {
+    return {
+        order_number: 'WRH-20260101-001',
+        customer_name: 'Nimal Perera',
+        items: [{ name: 'Cement', sku: '', qty: 2, unit: 'bag', unit_price: 2500, line_total: 5000 }],
+        subtotal: 5000,
+        discount: 0,
+        total: 5000,
+        payment_method: 'cash',
+        status: 'approved',
+        payments
+    };
+}
+
+test('an edit cannot lower the total below what was paid', () => {
+    const order = paidOrder([{ type: 'payment', amount: 4500, method: 'cash' }]);
+
+    assert.throws(
+        () => editOrder(order, { discount: 1000 }, { user: SUPERVISOR, products: [] }),
+        error => error.status === 409 && /already paid/.test(error.message)
+    );
+    assert.strictEqual(order.total, 5000);
+    assert.strictEqual(order.revisions, undefined);
+
+    const revision = editOrder(order, { discount: 500 }, { user: SUPERVISOR, products: [] });
+    assert.ok(revision);
+    assert.strictEqual(order.total, 4500);
+});
+
+test('the total can be lowered once the difference is refunded', () => {
+    const order = paidOrder([
+        { type: 'payment', amount: 5000, method: 'cash' },
+        { type: 'refund', amount: 1000, method: 'cash' }
+    ]);
+
+    editOrder(order, { discount: 1000 }, { user: SUPERVISOR, products: [] });
+    assert.strictEqual(order.total, 4000);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, login } = require('./helpers');
+
+const ORDER = {
+    order_number: 'WRH-20260101-001',
+    customer_name: 'Nimal Perera',
+    customer_phone: '0771234567',
+    items: [{ name: 'Cement', qty: 2, unit: 'bag', unit_price: 2500, line_total: 5000 }],
+    subtotal: 5000,
+    discount: 0,
+    total: 5000,
+    payment_method: 'cash',
+    status: 'ready',
+    created_at: '2026-01-01T08:00:00.000Z',
+    created_by: 'admin',
+    approvals: [],
+    status_history: [],
+    pickup_code_id: 'abcdef0123456789',
+    pickup_code_issued_at: '2026-01-01T09:00:00.000Z',
+    pickup_code_failures: 0
+};
+
+test('a tracking token fetched by staff cannot see the pickup code', async t => {
+    const server = await startServer({ orders: [ORDER] });
+    t.after(() => server.stop());
+
+    const cookie = await login(server.baseUrl, 'admin', 'admin-pass-1');
+    const link = await (await fetch(`${server.baseUrl}/api/orders/${ORDER.order_number}/tracking-link`, { headers: { cookie } })).json();
+    assert.ok(link.token);
+
+    const params = new URLSearchParams({ order: ORDER.order_number, token: link.token });
+    const lookup = await (await fetch(`${server.baseUrl}/api/customer-lookup?${params}`)).json();
+    assert.strictEqual(lookup.found, true);
+    assert.strictEqual(lookup.order.status, 'ready');
+    assert.strictEqual(lookup.order.pickup_code, null);
+    assert.strictEqual(lookup.tracking_token, link.token);
+
+    const byPhone = await (await fetch(`${server.baseUrl}/api/customer-lookup?${new URLSearchParams({ order: ORDER.order_number, phone: '4567' })}`)).json();
+    assert.strictEqual(byPhone.found, true);
+    assert.strictEqual(byPhone.order.pickup_code, null);
+});
+
+test('the customer token from the notification link shows the pickup code', async t => {
+    const server = await startServer({ orders: [ORDER] });
+    t.after(() => server.stop());
+
+    process.env.TRACKING_SECRET = 'test-secret';
+    const { initTrackingSecret, trackingToken, pickupCode } = require('../lib/tracking');
+    await initTrackingSecret();
+
+    const params = new URLSearchParams({ order: ORDER.order_number, token: trackingToken(ORDER.order_number, 'customer') });
+    const lookup = await (await fetch(`${server.baseUrl}/api/customer-lookup?${params}`)).json();
+    assert.strictEqual(lookup.found, true);
+    assert.strictEqual(lookup.order.pickup_code, pickupCode(ORDER.order_number, ORDER.pickup_code_id));
+});